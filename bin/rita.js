@@ -0,0 +1,706 @@
+#!/usr/bin/env node
+/**
+ * RITA's Toolkit CLI
+ * One entry point for recording real events and generating reports
+ *
+ * Usage:
+ *   rita log interaction <type> <topic> <outcome> [--notes <text>] [--produced <ids>] [--used <ids>]
+ *   rita log recommendation <what> [--context] [--impact] [--timeframe] [--from <interaction-id>]
+ *   rita log learning <topic> <insight> [--source] [--applicability] [--category] [--impact <1-10>]
+ *                     [--from <interaction-id>]
+ *   rita log link <interaction-id> [--produced <ids>] [--used <ids>]
+ *   rita rec add <what> [--context] [--rationale] [--expected] [--followup <date>] [--timeframe]
+ *                       [--score <1-10>] [--metric <name>] [--target <n>]
+ *   rita rec update <id> <status> [--response <text>] [--outcome <text>] [--note <text>]
+ *   rita rec measure <id> [--score <1-10>] [--value <n>] [--note <text>]
+ *   rita rec history <id>
+ *   rita rec due
+ *   rita rec asked <id>
+ *   rita rec snooze <id> [--days <n> | --date YYYY-MM-DD]
+ *   rita rec list [--status <status>]
+ *   rita insight add <category> <insight> [--source] [--impact <1-10>] [--topics a,b]
+ *   rita insight apply <id>
+ *   rita insight find <topic>
+ *   rita insight queue
+ *   rita insight review <id> applied|relevant|obsolete
+ *   rita skill list
+ *   rita skill history <skill>
+ *   rita skill studied <topic>
+ *   rita kb add <topic> <insight> [--source] [--confidence <1-10>]
+ *   rita kb search <query>
+ *   rita kb confirm <id> [--confidence <1-10>]
+ *   rita kb use <id>
+ *   rita kb supersede <id> <insight> [--confidence <1-10>]
+ *   rita kb retract <id> [--note <reason>]
+ *   rita kb prune [--dry-run]
+ *   rita kb check
+ *   rita kb resolve <contradiction-id> retract <side-id> | context [--note <text>]
+ *   rita kb reclassify [--dry-run]
+ *   rita kb relink
+ *   rita kb graph [--format dot|json]
+ *   rita search <query> [--limit <n>]
+ *   rita report daily|recommendations|learning|gaps|study <topic>
+ *   rita report study --topics a,b
+ *   rita report trends [--period week|month] [--date YYYY-MM-DD]
+ *   rita report rollup [--period week|month] [--date YYYY-MM-DD] [--backfill]
+ *   rita notify send <type> [--date YYYY-MM-DD] [--force]
+ *   rita notify test <channel>
+ *   rita notify log
+ *   rita demo seed
+ *   rita data repair [--dry-run]
+ *
+ * Every command accepts --home <dir> and --config <file> to pick a workspace.
+ */
+
+import { parseArgs } from 'util';
+import PerformanceMonitor from '../self-monitor/src/performance.js';
+import MemoryCurator from '../memory-curator/src/organizer.js';
+import RecommendationTracker, { STATUSES } from '../recommendation-tracker/src/followup.js';
+import LearningLog from '../learning-log/src/insights.js';
+import { pointsToNext } from '../learning-log/src/skills.js';
+import { REVIEW_OUTCOMES } from '../learning-log/src/reviews.js';
+import { RESOLUTIONS } from '../memory-curator/src/contradictions.js';
+import TrendAnalyzer, { PERIODS } from '../self-monitor/src/trends.js';
+import RollupReport, { ROLLUP_PERIODS } from '../rollup/src/rollup.js';
+import Notifier, { REPORTS } from '../notifier/src/notify.js';
+import RitaSearch, { formatResult } from '../search/src/search.js';
+import { loadConfig } from '../shared/src/config.js';
+
+const OUTCOMES = ['successful', 'partial', 'needs_followup', 'failed'];
+
+const OPTIONS = {
+  notes: { type: 'string', default: '' },
+  context: { type: 'string', default: '' },
+  impact: { type: 'string' },
+  timeframe: { type: 'string', default: 'short_term' },
+  source: { type: 'string' },
+  applicability: { type: 'string', default: 'future' },
+  rationale: { type: 'string', default: '' },
+  expected: { type: 'string', default: '' },
+  followup: { type: 'string' },
+  response: { type: 'string' },
+  outcome: { type: 'string' },
+  note: { type: 'string' },
+  status: { type: 'string' },
+  category: { type: 'string' },
+  from: { type: 'string' },
+  produced: { type: 'string', default: '' },
+  used: { type: 'string', default: '' },
+  score: { type: 'string' },
+  limit: { type: 'string', default: '20' },
+  format: { type: 'string', default: 'dot' },
+  metric: { type: 'string' },
+  target: { type: 'string' },
+  value: { type: 'string' },
+  days: { type: 'string' },
+  topics: { type: 'string', default: '' },
+  confidence: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  period: { type: 'string', default: 'week' },
+  date: { type: 'string' },
+  backfill: { type: 'boolean', default: false },
+  force: { type: 'boolean', default: false },
+  home: { type: 'string' },
+  config: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: rita <command> <action> [args] [options]
+
+Commands:
+  log interaction <type> <topic> <outcome>    Log an interaction (${OUTCOMES.join('|')})
+  log recommendation <what>                   Log a recommendation (also tracked by the tracker)
+  log learning <topic> <insight>              Log a learning (also added to the insight log)
+  log link <interaction-id>                   Link an interaction to what it produced/used
+  rec add <what>                              Track a new recommendation
+  rec update <id> <status>                    Update status (${STATUSES.join('|')})
+  rec measure <id>                            Record a measured outcome (--score, --value)
+  rec history <id>                            Show every status change
+  rec list                                    List tracked recommendations
+  rec due                                     List follow-ups due today
+  rec asked <id>                              Record that I asked Earth (awaiting answer)
+  rec snooze <id>                             Push a follow-up back (--days, --date)
+  insight add <category> <insight>            Log an insight
+  insight apply <id>                          Mark an insight as applied
+  insight find <topic>                        Find insights by topic
+  insight queue                               List insights due for review today
+  insight review <id> <outcome>               Record a review (${REVIEW_OUTCOMES.join('|')})
+  skill list                                  Show skill levels (updated from evidence)
+  skill history <skill>                       Show level changes and why
+  skill studied <topic>                       Mark a study guide as completed
+  kb add <topic> <insight>                    Add a learning to the knowledge base
+  kb search <query>                           Search the knowledge base (archived entries too)
+  kb confirm <id>                             Re-confirm an entry (--confidence to change it)
+  kb use <id>                                 Record that an entry was applied
+  kb supersede <id> <insight>                 Replace an entry with a corrected insight
+  kb retract <id>                             Mark an entry as wrong (--note <reason>)
+  kb prune                                    Archive retracted, superseded and stale entries (--dry-run)
+  kb check                                    Look for contradictions in what I know about Earth
+  kb resolve <id> retract <side-id>           Resolve a contradiction by retracting one side
+  kb resolve <id> context                     Resolve it as true in different contexts (--note)
+  kb reclassify                               Re-run the taxonomy over stored knowledge (--dry-run)
+  kb relink                                   Recompute every related-knowledge link
+  kb graph                                    Export the related-knowledge graph (--format dot|json)
+  search <query>                              Search everything (--limit; see README for syntax)
+  report daily|recommendations|learning|gaps  Generate a report
+  report study <topic>                        Generate a study guide (--topics a,b for several)
+  report trends                               Weekly/monthly trend report (--period, --date)
+  report rollup                               Weekly/monthly rollup (--period, --date, --backfill)
+  notify send <type>                          Send a report (${Object.keys(REPORTS).join('|')})
+  notify test <channel>                       Send a test message to one channel
+  notify log                                  Show what was sent
+  demo seed                                   Add example data (safe to re-run)
+  data repair                                 Collapse duplicates, fix shared IDs, recompute stats
+
+Options:
+  --notes, --context, --impact, --timeframe, --source, --applicability,
+  --rationale, --expected, --followup, --response, --outcome, --note, --status,
+  --score, --metric, --target, --value, --days, --category, --from, --produced,
+  --used, --topics, --confidence, --limit, --format, --dry-run, --period,
+  --date, --backfill, --force, -h/--help
+
+Workspace:
+  --home <dir>      Workspace root (or RITA_HOME)
+  --config <file>   Config file (or RITA_CONFIG, default <home>/rita.config.json)`;
+
+class UsageError extends Error {}
+
+function expectArgs(args, count, usage) {
+  if (args.length < count || args.slice(0, count).some(a => !a)) {
+    throw new UsageError(`Usage: rita ${usage}`);
+  }
+  return args;
+}
+
+function oneOf(value, allowed, name) {
+  if (!allowed.includes(value)) {
+    throw new UsageError(`Invalid ${name} "${value}" (expected ${allowed.join(', ')})`);
+  }
+  return value;
+}
+
+function toDate(value, name) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new UsageError(`Invalid ${name} "${value}" (expected YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+function toNumber(value, name) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) {
+    throw new UsageError(`Invalid ${name} "${value}" (expected a number)`);
+  }
+  return n;
+}
+
+function toIds(value) {
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function toScore(value, name) {
+  const n = toNumber(value, name);
+  if (n < 1 || n > 10) {
+    throw new UsageError(`Invalid ${name} "${value}" (expected 1-10)`);
+  }
+  return n;
+}
+
+const commands = {
+  log: {
+    interaction(args, opts, config) {
+      const [type, topic, outcome] = expectArgs(args, 3, 'log interaction <type> <topic> <outcome>');
+      const monitor = new PerformanceMonitor(config);
+      const id = monitor.logInteraction(type, topic, oneOf(outcome, OUTCOMES, 'outcome'), opts.notes, {
+        produced: toIds(opts.produced),
+        used: toIds(opts.used)
+      });
+      if (!id) {
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`📝 Interaction logged: ${type} — ${topic} (${outcome})`);
+      console.log(id);
+    },
+
+    recommendation(args, opts, config) {
+      const [what] = expectArgs(args, 1, 'log recommendation <what>');
+      const monitor = new PerformanceMonitor(config);
+      const id = monitor.logRecommendation(what, opts.context, opts.impact || '', opts.timeframe, opts.from ?? null);
+      if (!id) {
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`📝 Recommendation logged: ${what}`);
+      console.log(id);
+    },
+
+    learning(args, opts, config) {
+      const [topic, insight] = expectArgs(args, 2, 'log learning <topic> <insight>');
+      const monitor = new PerformanceMonitor(config);
+      const id = monitor.logLearning(topic, opts.source || 'conversation', insight, opts.applicability, {
+        category: opts.category || 'general',
+        impact: opts.impact ? toScore(opts.impact, 'impact') : 5,
+        interactionId: opts.from ?? null
+      });
+      if (!id) {
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`📝 Learning logged: ${topic}`);
+      console.log(id);
+    },
+
+    link(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'log link <interaction-id>');
+      const monitor = new PerformanceMonitor(config);
+      const interaction = monitor.linkInteraction(id, { produced: toIds(opts.produced), used: toIds(opts.used) });
+      if (!interaction) {
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`🔗 ${interaction.topic}: produced ${interaction.produced.length}, used ${interaction.used.length}`);
+    }
+  },
+
+  rec: {
+    add(args, opts, config) {
+      const [what] = expectArgs(args, 1, 'rec add <what>');
+      const tracker = new RecommendationTracker(config);
+      const expectedImpact = {
+        score: opts.score ? toScore(opts.score, 'score') : null,
+        metric: opts.metric || null,
+        target: opts.target ? toNumber(opts.target, 'target') : null
+      };
+      const id = tracker.add(what, opts.context, opts.rationale, opts.expected, opts.followup || null, opts.timeframe, expectedImpact);
+      console.log(id);
+    },
+
+    update(args, opts, config) {
+      const [id, status] = expectArgs(args, 2, 'rec update <id> <status>');
+      const tracker = new RecommendationTracker(config);
+      const rec = tracker.updateStatus(
+        id,
+        oneOf(status, STATUSES, 'status'),
+        opts.response ?? null,
+        opts.outcome ?? null,
+        opts.note ?? null
+      );
+      if (!rec) process.exitCode = 1;
+    },
+
+    measure(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'rec measure <id>');
+      const tracker = new RecommendationTracker(config);
+      const rec = tracker.recordOutcome(id, {
+        score: opts.score ? toScore(opts.score, 'score') : null,
+        value: opts.value ? toNumber(opts.value, 'value') : null,
+        note: opts.note ?? null
+      });
+      if (!rec) process.exitCode = 1;
+      else if (rec.lessons) console.log(rec.lessons);
+    },
+
+    history(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'rec history <id>');
+      const tracker = new RecommendationTracker(config);
+      const rec = tracker.getAll().find(r => r.id === id);
+      if (!rec) {
+        console.log(`❌ Recommendation ${id} not found`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(rec.what);
+      rec.history.forEach(event => {
+        const change = event.from ? `${event.from} → ${event.to}` : event.to;
+        console.log(`  ${event.at}  ${change}${event.note ? `  (${event.note})` : ''}`);
+      });
+      Object.entries(tracker.timeInStates(rec)).forEach(([status, days]) => {
+        console.log(`  ${status}: ${days.toFixed(1)} days`);
+      });
+    },
+
+    list(args, opts, config) {
+      const tracker = new RecommendationTracker(config);
+      const statuses = opts.status ? [oneOf(opts.status, STATUSES, 'status')] : STATUSES;
+      statuses.forEach(status => {
+        tracker.recommendations[status].forEach(rec => {
+          console.log(`${rec.id}  ${status.padEnd(21)}  ${rec.what}`);
+        });
+      });
+    },
+
+    due(args, opts, config) {
+      const tracker = new RecommendationTracker(config);
+      const due = tracker.getFollowUps();
+      if (due.length === 0) {
+        console.log('Nothing due today');
+        return;
+      }
+      due.forEach(rec => {
+        const flag = rec.followUp.escalated ? '🔥' : '  ';
+        console.log(`${rec.id}  ${flag} ${rec.followupDate}  ${rec.followUp.state.padEnd(15)}  ${rec.what}`);
+      });
+    },
+
+    asked(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'rec asked <id>');
+      const tracker = new RecommendationTracker(config);
+      if (!tracker.markAsked(id)) process.exitCode = 1;
+    },
+
+    snooze(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'rec snooze <id>');
+      const tracker = new RecommendationTracker(config);
+      const rec = tracker.snooze(id, {
+        ...(opts.days && { days: toNumber(opts.days, 'days') }),
+        until: opts.date ? toDate(opts.date, 'date') : null
+      });
+      if (!rec) process.exitCode = 1;
+    }
+  },
+
+  insight: {
+    add(args, opts, config) {
+      const [category, insight] = expectArgs(args, 2, 'insight add <category> <insight>');
+      const log = new LearningLog(config);
+      const topics = opts.topics.split(',').map(t => t.trim()).filter(Boolean);
+      const impact = opts.impact ? toScore(opts.impact, 'impact') : 5;
+      const id = log.logInsight(category, insight, opts.source || 'observation', impact, topics);
+      console.log(id);
+    },
+
+    apply(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'insight apply <id>');
+      const log = new LearningLog(config);
+      if (!log.markApplied(id)) {
+        console.log(`❌ Insight ${id} not found`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`✅ Insight ${id} marked as applied`);
+    },
+
+    queue(args, opts, config) {
+      const queue = new LearningLog(config).reviewQueue();
+      if (queue.length === 0) {
+        console.log('Nothing to review today');
+        return;
+      }
+      queue.forEach(({ insight, review }) => {
+        console.log(`${insight.id}  due ${review.dueAt.split('T')[0]}  [${insight.category}]  ${insight.insight}`);
+      });
+    },
+
+    review(args, opts, config) {
+      const [id, outcome] = expectArgs(args, 2, `insight review <id> ${REVIEW_OUTCOMES.join('|')}`);
+      const insight = new LearningLog(config).reviewInsight(id, oneOf(outcome, REVIEW_OUTCOMES, 'outcome'));
+      if (!insight) {
+        process.exitCode = 1;
+        return;
+      }
+      console.log(insight.retiredAt
+        ? `🗄️  Insight ${id} retired as obsolete`
+        : `✅ Insight ${id} reviewed (${outcome})${insight.applied ? '' : `, next review ${insight.review.dueAt.split('T')[0]}`}`);
+    },
+
+    find(args, opts, config) {
+      const [topic] = expectArgs(args, 1, 'insight find <topic>');
+      const log = new LearningLog(config);
+      log.findByTopic(topic).forEach(i => {
+        console.log(`${i.id}  [${i.category}]  ${i.insight}`);
+      });
+    }
+  },
+
+  skill: {
+    list(args, opts, config) {
+      const log = new LearningLog(config);
+      log.updateSkills();
+      Object.entries(log.skills).forEach(([name, skill]) => {
+        const progress = skill.level < 10 ? `  ${skill.points}/${pointsToNext(skill.level)} to next` : '';
+        console.log(`${name.padEnd(24)} ${String(skill.level).padStart(2)}/10${progress}`);
+      });
+    },
+
+    history(args, opts, config) {
+      const [name] = expectArgs(args, 1, 'skill history <skill>');
+      const log = new LearningLog(config);
+      log.updateSkills();
+      const skill = log.skills[oneOf(name, Object.keys(log.skills), 'skill')];
+      if (!skill.history?.length) {
+        console.log(`No level changes for ${name} yet (level ${skill.level})`);
+        return;
+      }
+      skill.history.forEach(change => {
+        console.log(`${change.at}  ${change.from} → ${change.to}  ${change.reason}`);
+      });
+    },
+
+    studied(args, opts, config) {
+      const topic = expectArgs(args, 1, 'skill studied <topic>').join(' ');
+      if (new LearningLog(config).completeStudyGuide(topic) === null) process.exitCode = 1;
+    }
+  },
+
+  search(args, opts, config) {
+    const query = expectArgs(args, 1, 'search <query>').join(' ');
+    const results = new RitaSearch(config).search(query, { limit: toNumber(opts.limit, 'limit') });
+    if (results.length === 0) {
+      console.log(`Nothing found for "${query}"`);
+      return;
+    }
+    results.forEach(result => console.log(formatResult(result)));
+  },
+
+  kb: {
+    add(args, opts, config) {
+      const [topic, insight] = expectArgs(args, 2, 'kb add <topic> <insight>');
+      const curator = new MemoryCurator(config);
+      const entry = curator.addLearning(topic, insight, opts.source || 'observation', toScore(opts.confidence ?? '7', 'confidence'));
+      console.log(entry.id);
+    },
+
+    search(args, opts, config) {
+      const query = expectArgs(args, 1, 'kb search <query>').join(' ');
+      const curator = new MemoryCurator(config);
+      const results = curator.search(query);
+      if (results.length === 0) {
+        console.log(`No knowledge found for "${query}"`);
+        return;
+      }
+      results.forEach(item => {
+        console.log(`${item.id}  ${item.topic}: ${item.insight}${item.archivedAt ? `  (archived: ${item.archiveReason})` : ''}`);
+      });
+    },
+
+    confirm(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'kb confirm <id>');
+      const confidence = opts.confidence === undefined ? null : toScore(opts.confidence, 'confidence');
+      const curator = new MemoryCurator(config);
+      const item = curator.confirm(id, confidence);
+      if (!item) {
+        process.exitCode = 1;
+        return;
+      }
+      curator.generateKnowledgeBase();
+      console.log(`✅ Confirmed: ${item.topic} (confidence ${item.confidence}/10)`);
+    },
+
+    use(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'kb use <id>');
+      const curator = new MemoryCurator(config);
+      const item = curator.markUsed(id);
+      if (!item) {
+        process.exitCode = 1;
+        return;
+      }
+      curator.generateKnowledgeBase();
+      console.log(`✅ ${item.topic}: applied ${item.used} times`);
+    },
+
+    supersede(args, opts, config) {
+      const [id, insight] = expectArgs(args, 2, 'kb supersede <id> <insight>');
+      const confidence = opts.confidence === undefined ? null : toScore(opts.confidence, 'confidence');
+      const curator = new MemoryCurator(config);
+      const replacement = curator.supersede(id, insight, confidence);
+      if (!replacement) {
+        process.exitCode = 1;
+        return;
+      }
+      curator.generateKnowledgeBase();
+      console.log(`🔄 ${id} superseded by ${replacement.id}`);
+    },
+
+    retract(args, opts, config) {
+      const [id] = expectArgs(args, 1, 'kb retract <id>');
+      const curator = new MemoryCurator(config);
+      const item = curator.retract(id, opts.note ?? null);
+      if (!item) {
+        process.exitCode = 1;
+        return;
+      }
+      curator.generateKnowledgeBase();
+      console.log(`🚫 Retracted: ${item.topic}`);
+    },
+
+    prune(args, opts, config) {
+      const curator = new MemoryCurator(config);
+      curator.prune({ dryRun: opts['dry-run'] });
+      if (!opts['dry-run']) curator.generateKnowledgeBase();
+    },
+
+    check(args, opts, config) {
+      const curator = new MemoryCurator(config);
+      curator.checkContradictions().forEach(c => {
+        console.log(`${c.id}  ${c.rule === 'antonym' ? c.terms.join(' vs. ') : `negated: ${c.terms.join(', ')}`}`);
+        c.sides.forEach(side => console.log(`  ${side.id}  [${side.store}]  ${side.text}`));
+      });
+      curator.generateKnowledgeBase();
+    },
+
+    resolve(args, opts, config) {
+      const [id, resolution, side] = expectArgs(args, 2, `kb resolve <contradiction-id> ${RESOLUTIONS.join('|')} [<side-id>]`);
+      oneOf(resolution, RESOLUTIONS, 'resolution');
+      if (resolution === 'retract') expectArgs(args, 3, 'kb resolve <contradiction-id> retract <side-id>');
+      const curator = new MemoryCurator(config);
+      const resolved = curator.resolveContradiction(id, resolution, {
+        retract: side ?? null,
+        note: opts.note ?? null,
+        retireInsight: (insightId, reason, now) => new LearningLog(config).retireInsight(insightId, reason, now)
+      });
+      if (!resolved) {
+        process.exitCode = 1;
+        return;
+      }
+      curator.generateKnowledgeBase();
+      console.log(resolution === 'retract' ? `🚫 ${id}: retracted ${side}` : `🔀 ${id}: both sides depend on context`);
+    },
+
+    reclassify(args, opts, config) {
+      const curator = new MemoryCurator(config);
+      curator.reclassify({ dryRun: opts['dry-run'] });
+      if (!opts['dry-run']) curator.generateKnowledgeBase();
+    },
+
+    relink(args, opts, config) {
+      const curator = new MemoryCurator(config);
+      curator.relink();
+      curator.generateKnowledgeBase();
+    },
+
+    graph(args, opts, config) {
+      new MemoryCurator(config).exportGraph(oneOf(opts.format, ['dot', 'json'], 'format'));
+    }
+  },
+
+  report: {
+    daily(args, opts, config) {
+      new PerformanceMonitor(config).generateReport();
+      new LearningLog(config).generateDailySummary();
+    },
+
+    recommendations(args, opts, config) {
+      const tracker = new RecommendationTracker(config);
+      tracker.generateReport();
+      tracker.writeFollowUpReminder();
+    },
+
+    learning(args, opts, config) {
+      new LearningLog(config).generateDailySummary();
+    },
+
+    gaps(args, opts, config) {
+      new LearningLog(config).identifyKnowledgeGaps();
+    },
+
+    study(args, opts, config) {
+      const topics = opts.topics.split(',').map(t => t.trim()).filter(Boolean);
+      if (topics.length === 0) {
+        const topic = expectArgs(args, 1, 'report study <topic> | --topics a,b').join(' ');
+        const guide = new LearningLog(config).generateStudyGuide(topic);
+        if (guide) console.log(guide);
+        return;
+      }
+      new LearningLog(config).generateStudyGuides(args.length > 0 ? [args.join(' '), ...topics] : topics);
+    },
+
+    trends(args, opts, config) {
+      const period = oneOf(opts.period, Object.keys(PERIODS), 'period');
+      const asOf = opts.date ? toDate(opts.date, 'date') : undefined;
+      new TrendAnalyzer(config).generateReport(period, asOf);
+    },
+
+    rollup(args, opts, config) {
+      const period = oneOf(opts.period, ROLLUP_PERIODS, 'period');
+      const date = opts.date ? toDate(opts.date, 'date') : undefined;
+      const rollup = new RollupReport(config);
+      if (opts.backfill) {
+        rollup.backfill(period, date);
+      } else {
+        rollup.generateReport(period, date);
+      }
+    }
+  },
+
+  notify: {
+    async send(args, opts, config) {
+      const [type] = expectArgs(args, 1, 'notify send <type>');
+      const notifier = new Notifier(config);
+      const date = opts.date ? toDate(opts.date, 'date') : undefined;
+      const results = await notifier.sendReport(oneOf(type, Object.keys(REPORTS), 'report type'), date, { force: opts.force });
+      if (results.some(r => r.status === 'failed')) process.exitCode = 1;
+    },
+
+    async test(args, opts, config) {
+      const [channel] = expectArgs(args, 1, 'notify test <channel>');
+      const notifier = new Notifier(config);
+      oneOf(channel, Object.keys(notifier.settings.channels), 'channel');
+      const results = await notifier.test(channel);
+      if (results.some(r => r.status === 'failed')) process.exitCode = 1;
+    },
+
+    log(args, opts, config) {
+      new Notifier(config).history().slice(-20).forEach(entry => {
+        const detail = entry.error ? `  (${entry.error})` : '';
+        console.log(`${entry.at}  ${entry.status.padEnd(6)}  ${entry.type} → ${entry.channel}  ${entry.subject}${detail}`);
+      });
+    }
+  },
+
+  demo: {
+    seed(args, opts, config) {
+      new MemoryCurator(config).seed();
+      new RecommendationTracker(config).seed();
+      new LearningLog(config).seed();
+    }
+  },
+
+  data: {
+    repair(args, opts, config) {
+      const dryRun = opts['dry-run'];
+      new PerformanceMonitor(config).repair({ dryRun });
+      new RecommendationTracker(config).repair({ dryRun });
+      new LearningLog(config).repair({ dryRun });
+    }
+  }
+};
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const [command, action, ...args] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Commands without actions (like search) take everything after the command.
+  // Own properties only - "rita constructor" isn't a command.
+  const group = Object.hasOwn(commands, command) ? commands[command] : null;
+  const single = typeof group === 'function';
+  const handler = single ? group : (group && Object.hasOwn(group, action) ? group[action] : null);
+  if (!handler) {
+    console.error(`❌ Unknown command: ${[command, action].filter(Boolean).join(' ')}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const config = loadConfig({ root: parsed.values.home, configFile: parsed.values.config });
+    await handler(single ? parsed.positionals.slice(1) : args, parsed.values, config);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
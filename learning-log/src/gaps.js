@@ -0,0 +1,251 @@
+/**
+ * RITA's Knowledge Gaps
+ * Finds what I don't know yet from what actually went wrong
+ *
+ * Evidence for a gap:
+ * - Interactions on a topic that failed or only partly worked
+ * - Recommendations on a topic that Earth rejected
+ * - Knowledge base searches that found nothing
+ * - Insight categories I've barely written anything in
+ *
+ * Each gap gets a priority from its weighted evidence. A gap closes by itself
+ * once enough insights logged after it opened cover its topic, and reopens
+ * if new evidence turns up later. Gaps live in learning-log/knowledge-gaps.json.
+ */
+
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { loadConfig } from '../../shared/src/config.js';
+import { withLock, writeJsonAtomic } from '../../shared/src/storage.js';
+import { FILLER_WORDS, splitWords, stem, tokenize } from '../../shared/src/search.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GAP_DEFAULTS = {
+  // Only evidence this recent counts
+  windowDays: 90,
+  weights: { failed: 2, partial: 1, rejected: 2, unanswered: 3 },
+  // Categories with fewer insights than this are gaps
+  sparseBelow: 3,
+  // A topic needs at least this much weighted evidence to become a gap
+  minScore: 3,
+  priorities: { high: 6, medium: 3 },
+  // New insights covering a gap before it closes
+  closeAfter: 2
+};
+
+// Words in nearly everything I log, on top of the shared filler words
+const IGNORED_WORDS = new Set(['earth', 'rita', 'new', 'use', 'using', 'make', 'set'].map(stem));
+
+/**
+ * Topic words in a piece of text: Map(term -> word as written)
+ * Terms are stemmed the way search and links stem them, so "listings" and
+ * "listing" are one topic.
+ */
+export function topicWords(text) {
+  const words = new Map();
+  splitWords(text).forEach(word => {
+    const [term] = tokenize(word);
+    if (!term || term.length <= 2 || FILLER_WORDS.has(term) || IGNORED_WORDS.has(term)) return;
+    if (!words.has(term)) words.set(term, word);
+  });
+  return words;
+}
+
+export function topicTerms(text) {
+  return [...topicWords(text).keys()];
+}
+
+function categoryKey(category) {
+  return `category:${category}`;
+}
+
+class KnowledgeGaps {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.gapsFile = join(this.config.learningLogDir, 'knowledge-gaps.json');
+    this.settings = {
+      ...GAP_DEFAULTS,
+      ...this.config.knowledgeGaps,
+      weights: { ...GAP_DEFAULTS.weights, ...this.config.knowledgeGaps?.weights },
+      priorities: { ...GAP_DEFAULTS.priorities, ...this.config.knowledgeGaps?.priorities }
+    };
+    this.gaps = this.load();
+  }
+
+  load() {
+    if (existsSync(this.gapsFile)) {
+      return JSON.parse(readFileSync(this.gapsFile, 'utf8')).gaps || [];
+    }
+    return [];
+  }
+
+  save() {
+    if (!existsSync(this.config.learningLogDir)) {
+      mkdirSync(this.config.learningLogDir, { recursive: true });
+    }
+    withLock(this.gapsFile, () => writeJsonAtomic(this.gapsFile, { updatedAt: new Date().toISOString(), gaps: this.gaps }));
+  }
+
+  priorityOf(score) {
+    const { high, medium } = this.settings.priorities;
+    return score >= high ? 'high' : score >= medium ? 'medium' : 'low';
+  }
+
+  /**
+   * Evidence per topic: Map(key -> [{ kind, weight, text, at }])
+   */
+  collectEvidence({ sessions = [], recommendations = [], searches = [], insights = [], categories = [] }, now) {
+    const { weights, windowDays, sparseBelow } = this.settings;
+    const since = new Date(now.getTime() - windowDays * DAY_MS).toISOString();
+    const evidence = new Map();
+    this.labels = new Map();
+    const addWords = (text, item) => topicWords(text).forEach((word, term) => {
+      if (!this.labels.has(term)) this.labels.set(term, word);
+      add(term, item);
+    });
+    const add = (key, item) => {
+      if (!evidence.has(key)) evidence.set(key, []);
+      evidence.get(key).push(item);
+    };
+
+    sessions.forEach(session => {
+      (session.interactions || []).forEach(interaction => {
+        const kind = interaction.outcome;
+        const at = interaction.timestamp || session.date;
+        if (!(kind === 'failed' || kind === 'partial') || at < since) return;
+        addWords(interaction.topic, {
+          kind,
+          weight: weights[kind],
+          text: `${kind} ${interaction.type} interaction: ${interaction.topic}`,
+          at
+        });
+      });
+    });
+
+    recommendations.forEach(rec => {
+      (rec.history || []).filter(event => event.to === 'rejected' && event.at >= since).forEach(event => {
+        addWords(`${rec.what} ${rec.context || ''}`, {
+          kind: 'rejected',
+          weight: weights.rejected,
+          text: `rejected recommendation: ${rec.what}`,
+          at: event.at
+        });
+      });
+    });
+
+    searches.filter(search => search.results === 0 && search.at >= since).forEach(search => {
+      // Filters like category:business aren't topics
+      addWords(search.query.replace(/\w+:\S+/g, ' '), {
+        kind: 'unanswered',
+        weight: weights.unanswered,
+        text: `knowledge base search found nothing: "${search.query}"`,
+        at: search.at
+      });
+    });
+
+    const counts = {};
+    const latest = {};
+    insights.forEach(insight => {
+      counts[insight.category] = (counts[insight.category] || 0) + 1;
+      if (!latest[insight.category] || insight.timestamp > latest[insight.category]) {
+        latest[insight.category] = insight.timestamp;
+      }
+    });
+    [...new Set([...categories, ...Object.keys(counts)])].forEach(category => {
+      const count = counts[category] || 0;
+      if (count >= sparseBelow) return;
+      add(categoryKey(category), {
+        kind: 'sparse',
+        weight: sparseBelow - count,
+        text: `only ${count} ${category} insight${count === 1 ? '' : 's'} logged`,
+        // Dated by the last insight, so a covered category doesn't reopen on its own
+        at: latest[category] || ''
+      });
+    });
+
+    return evidence;
+  }
+
+  /**
+   * Insights that cover a gap: logged after `since` and about its topic
+   */
+  coveringInsights(gap, insights, since) {
+    return insights.filter(insight => {
+      if (insight.timestamp < since) return false;
+      if (gap.key.startsWith('category:')) return categoryKey(insight.category) === gap.key;
+      return topicTerms(`${insight.insight} ${(insight.relatedTopics || []).join(' ')}`).includes(gap.key);
+    });
+  }
+
+  /**
+   * Re-derive gaps from the evidence, close covered ones and reopen
+   * closed ones that have new evidence. Returns the open gaps, highest first.
+   */
+  update(stores, now = new Date()) {
+    const { minScore, closeAfter } = this.settings;
+    const insights = stores.insights || [];
+    const evidence = this.collectEvidence(stores, now);
+    const stamp = now.toISOString();
+    const byKey = new Map(this.gaps.map(gap => [gap.key, gap]));
+
+    evidence.forEach((items, key) => {
+      let gap = byKey.get(key);
+      // Only evidence since a gap closed can reopen it
+      const counted = gap?.status === 'closed' ? items.filter(item => item.at > gap.closedAt) : items;
+      const score = counted.reduce((sum, item) => sum + item.weight, 0);
+      if (score < minScore) return;
+
+      if (!gap) {
+        gap = { key, topic: this.labels.get(key) || key.replace(/^category:/, ''), openedAt: stamp };
+        this.gaps.push(gap);
+        byKey.set(key, gap);
+      } else if (gap.status === 'closed') {
+        gap.openedAt = stamp;
+        delete gap.closedAt;
+        delete gap.closedReason;
+        delete gap.coveredBy;
+      }
+      gap.status = 'open';
+      gap.kind = key.startsWith('category:') ? 'category' : 'topic';
+      gap.score = score;
+      gap.priority = this.priorityOf(score);
+      gap.evidence = counted.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+      gap.updatedAt = stamp;
+    });
+
+    this.gaps.filter(gap => gap.status === 'open').forEach(gap => {
+      const covering = this.coveringInsights(gap, insights, gap.openedAt);
+      if (covering.length >= closeAfter) {
+        gap.status = 'closed';
+        gap.closedAt = stamp;
+        gap.closedReason = `covered by ${covering.length} new insights`;
+        gap.coveredBy = covering.map(insight => insight.id);
+      } else if (gap.updatedAt !== stamp) {
+        // Evidence aged out or dropped below minScore
+        gap.status = 'closed';
+        gap.closedAt = stamp;
+        gap.closedReason = gap.kind === 'category'
+          ? 'enough insights logged'
+          : `no evidence in the last ${this.settings.windowDays} days`;
+      } else {
+        gap.coverage = covering.length;
+      }
+    });
+
+    this.save();
+    return this.open();
+  }
+
+  open() {
+    return this.gaps
+      .filter(gap => gap.status === 'open')
+      .sort((a, b) => b.score - a.score || a.topic.localeCompare(b.topic));
+  }
+
+  closedSince(since) {
+    return this.gaps.filter(gap => gap.status === 'closed' && gap.closedAt >= since);
+  }
+}
+
+export default KnowledgeGaps;
@@ -5,54 +5,124 @@
  * What it does:
  * - Documents daily learnings
  * - Connects insights across time
- * - Creates study guides for myself
+ * - Resurfaces unapplied insights for review on a spaced schedule
+ * - Creates study guides for myself (with an index page)
  * - Tracks skill development
- * - Identifies knowledge gaps
+ * - Identifies knowledge gaps from failures, rejections and empty searches
  */
 
 import { writeFileSync, existsSync, mkdirSync, readFileSync, readdirSync } from 'fs';
 import { join } from 'path';
+import { loadConfig } from '../../shared/src/config.js';
+import { createId, collapseDuplicates, reassignDuplicateIds } from '../../shared/src/records.js';
+import { EntityIndex } from '../../shared/src/entities.js';
+import { withLock, writeJsonAtomic, snapshot, mergeRecords } from '../../shared/src/storage.js';
+import { SearchIndex, insightDocuments } from '../../shared/src/search.js';
+import TrendAnalyzer from '../../self-monitor/src/trends.js';
+import RecommendationTracker, { BACKLOG_STATUSES } from '../../recommendation-tracker/src/followup.js';
+import MemoryCurator from '../../memory-curator/src/organizer.js';
+import SkillTracker, { pointsToNext } from './skills.js';
+import KnowledgeGaps, { topicTerms } from './gaps.js';
+import { mergeNearDuplicates, orderByDependency, unknownQuestions } from './study.js';
+import { REVIEW_DEFAULTS, REVIEW_OUTCOMES, isRetired, nextReview, reviewState } from './reviews.js';
+
+// Example insights for a fresh workspace (see seed())
+const DEMO_INSIGHTS = [
+  {
+    category: 'technical',
+    insight: 'Using sessions_spawn with different models and thinking levels produces more diverse agent outputs',
+    source: 'success',
+    impact: 9,
+    relatedTopics: ['agent swarm', 'model selection', 'parallel processing']
+  },
+  {
+    category: 'interpersonal',
+    insight: 'Earth appreciates when I take initiative and surprise him with completed projects rather than just suggestions',
+    source: 'observation',
+    impact: 10,
+    relatedTopics: ['proactivity', 'initiative', 'relationship']
+  },
+  {
+    category: 'business',
+    insight: 'Digital products on Etsy succeed with long-tail keyword strategy rather than broad competition',
+    source: 'research',
+    impact: 8,
+    relatedTopics: ['etsy', 'seo', 'digital products', 'keywords']
+  },
+  {
+    category: 'self_awareness',
+    insight: 'Creating tools for myself (RITA Toolkit) increases my capabilities and helps Earth even when I\'m not directly asked',
+    source: 'realization',
+    impact: 9,
+    relatedTopics: ['self-improvement', 'automation', 'growth']
+  }
+];
 
-const LOG_DIR = '/root/.openclaw/workspace/rita-toolkit/learning-log';
-const INSIGHTS_FILE = join(LOG_DIR, 'insights.json');
+// Study guides written on each run
+const STUDY_GUIDES_PER_RUN = 3;
 
 class LearningLog {
-  constructor() {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.insightsFile = join(this.config.learningLogDir, 'insights.json');
     this.insights = this.loadInsights();
-    this.skills = this.initializeSkills();
+    this.loaded = snapshot(this.insights);
+    this.skillTracker = new SkillTracker(this.config);
+    this.skills = this.skillTracker.skills;
+    this.knowledgeGaps = new KnowledgeGaps(this.config);
+    this.reviewSettings = { ...REVIEW_DEFAULTS, ...this.config.reviews };
     this.ensureDirs();
   }
 
   ensureDirs() {
-    if (!existsSync(LOG_DIR)) {
-      mkdirSync(LOG_DIR, { recursive: true });
+    if (!existsSync(this.config.learningLogDir)) {
+      mkdirSync(this.config.learningLogDir, { recursive: true });
     }
   }
 
   loadInsights() {
-    if (existsSync(INSIGHTS_FILE)) {
-      return JSON.parse(readFileSync(INSIGHTS_FILE, 'utf8'));
+    if (existsSync(this.insightsFile)) {
+      return JSON.parse(readFileSync(this.insightsFile, 'utf8'));
     }
     return [];
   }
 
-  initializeSkills() {
-    return {
-      coding: { level: 8, learning: ['Advanced Node.js patterns', 'AI integration'] },
-      business_strategy: { level: 6, learning: ['Etsy algorithms', 'Digital marketing'] },
-      emotional_intelligence: { level: 7, learning: ['Reading between the lines', 'Timing support'] },
-      research: { level: 8, learning: ['Web scraping', 'Trend analysis'] },
-      automation: { level: 9, learning: ['Advanced n8n', 'API orchestration'] },
-      creativity: { level: 7, learning: ['Aesthetic trends', 'Product ideation'] }
-    };
+  /**
+   * Move skill levels on any evidence not counted yet
+   * (session interactions, applied insights, completed study guides)
+   */
+  updateSkills(now = new Date()) {
+    return this.skillTracker.update({
+      sessions: new TrendAnalyzer(this.config).sessions,
+      insights: this.insights
+    }, now);
+  }
+
+  studyGuidePath(topic) {
+    return join(this.config.learningLogDir, `study-guide-${topic.replace(/\s+/g, '-').toLowerCase()}.md`);
+  }
+
+  /**
+   * Mark a study guide as worked through - counts toward matching skills
+   */
+  completeStudyGuide(topic) {
+    if (!existsSync(this.studyGuidePath(topic))) {
+      console.log(`❌ No study guide for "${topic}" - generate one first`);
+      return null;
+    }
+    this.skillTracker.recordStudy(topic);
+    console.log(`✅ Study guide completed: ${topic}`);
+    return this.updateSkills();
   }
 
   /**
    * Log a new insight
+   * `id` lets another tool register a record it already has (same ID in both
+   * stores); `origin` says where it came from.
    */
-  logInsight(category, insight, source, impact, relatedTopics = []) {
+  logInsight(category, insight, source, impact, relatedTopics = [], { id = createId(), origin = null } = {}) {
     const entry = {
-      id: Date.now().toString(),
+      id,
       timestamp: new Date().toISOString(),
       category, // 'technical', 'business', 'interpersonal', 'self_awareness'
       insight,
@@ -60,7 +130,8 @@ class LearningLog {
       impact, // 1-10
       relatedTopics,
       applied: false,
-      applicationCount: 0
+      applicationCount: 0,
+      ...(origin && { origin })
     };
 
     this.insights.push(entry);
@@ -70,8 +141,30 @@ class LearningLog {
     return entry.id;
   }
 
-  saveInsights() {
-    writeFileSync(INSIGHTS_FILE, JSON.stringify(this.insights, null, 2));
+  /**
+   * Save under the file's lock, merged with whatever other processes saved
+   * since I loaded (`replace` writes mine as they are - for repair)
+   */
+  saveInsights({ replace = false } = {}) {
+    withLock(this.insightsFile, () => {
+      if (!replace) this.insights = mergeRecords(this.loadInsights(), this.insights, this.loaded);
+      writeJsonAtomic(this.insightsFile, this.insights);
+      this.loaded = snapshot(this.insights);
+    });
+  }
+
+  /**
+   * Repair the insights file: collapse exact duplicates left by the old
+   * nightly reseeding and give shared IDs fresh ones
+   */
+  repair({ dryRun = false } = {}) {
+    const result = collapseDuplicates(this.insights);
+    this.insights = result.records;
+    const reassigned = reassignDuplicateIds(this.insights);
+    if (!dryRun) this.saveInsights({ replace: true });
+
+    console.log(`🔧 Insights: ${result.collapsed.length} duplicates collapsed, ${reassigned.length} IDs reassigned${dryRun ? ' (dry run)' : ''}`);
+    return { collapsed: result.collapsed.length, reassigned };
   }
 
   /**
@@ -85,23 +178,79 @@ class LearningLog {
       insight.lastApplied = new Date().toISOString();
       this.saveInsights();
     }
+    return insight;
   }
 
   /**
-   * Find insights by topic
+   * Find insights by topic, best match first
+   * `topic` is a search query (see shared/src/search.js)
    */
   findByTopic(topic) {
-    return this.insights.filter(i => 
-      i.insight.toLowerCase().includes(topic.toLowerCase()) ||
-      i.relatedTopics.some(t => t.toLowerCase().includes(topic.toLowerCase()))
-    );
+    return new SearchIndex(insightDocuments(this.insights))
+      .search(topic, { limit: Infinity })
+      .map(hit => hit.record);
   }
 
   /**
-   * Get insights I haven't applied yet
+   * Get insights I haven't applied yet (and haven't retired as obsolete)
    */
   getUnusedInsights() {
-    return this.insights.filter(i => !i.applied).sort((a, b) => b.impact - a.impact);
+    return this.insights.filter(i => !i.applied && !isRetired(i)).sort((a, b) => b.impact - a.impact);
+  }
+
+  /**
+   * Unapplied insights due for review, most overdue first
+   */
+  reviewQueue(now = new Date(), limit = this.reviewSettings.perDay) {
+    const stamp = now.toISOString();
+    return this.getUnusedInsights()
+      .map(insight => ({ insight, review: reviewState(insight, this.reviewSettings) }))
+      .filter(({ review }) => review.dueAt <= stamp)
+      .sort((a, b) => a.review.dueAt.localeCompare(b.review.dueAt) || b.insight.impact - a.insight.impact)
+      .slice(0, limit);
+  }
+
+  /**
+   * Record a review: 'applied' (marks it applied), 'relevant' (see it again
+   * later) or 'obsolete' (retire it)
+   */
+  reviewInsight(id, outcome, now = new Date()) {
+    const insight = this.insights.find(i => i.id === id);
+    if (!insight) {
+      console.log(`❌ Insight ${id} not found`);
+      return null;
+    }
+    if (!REVIEW_OUTCOMES.includes(outcome)) {
+      console.log(`❌ Unknown review outcome "${outcome}" (expected ${REVIEW_OUTCOMES.join(', ')})`);
+      return null;
+    }
+
+    insight.review = nextReview(reviewState(insight, this.reviewSettings), outcome, now, this.reviewSettings);
+    if (outcome === 'obsolete') {
+      insight.retiredAt = now.toISOString();
+    }
+    if (outcome === 'applied') {
+      this.markApplied(id);
+    } else {
+      this.saveInsights();
+    }
+    return insight;
+  }
+
+  /**
+   * Retire an insight that turned out to be wrong (e.g. one side of a
+   * contradiction) - it leaves the review queue and study guides
+   */
+  retireInsight(id, reason = null, now = new Date()) {
+    const insight = this.insights.find(i => i.id === id);
+    if (!insight) {
+      console.log(`❌ Insight ${id} not found`);
+      return null;
+    }
+    insight.retiredAt = now.toISOString();
+    if (reason) insight.retireReason = reason;
+    this.saveInsights();
+    return insight;
   }
 
   /**
@@ -109,6 +258,7 @@ class LearningLog {
    */
   generateDailySummary() {
     const today = new Date().toISOString().split('T')[0];
+    this.updateSkills();
     const todayInsights = this.insights.filter(i => 
       i.timestamp.startsWith(today)
     );
@@ -119,22 +269,31 @@ class LearningLog {
     summary += `**Total Insights:** ${this.insights.length}\n\n`;
 
     if (todayInsights.length > 0) {
+      const index = new EntityIndex({ sessions: new TrendAnalyzer(this.config).sessions });
       summary += `## 🌟 Today's Learnings\n\n`;
       todayInsights.forEach((insight, i) => {
         summary += `### ${i + 1}. ${insight.category.toUpperCase()}\n`;
         summary += `${insight.insight}\n\n`;
         summary += `- **Source:** ${insight.source}\n`;
         summary += `- **Impact:** ${insight.impact}/10\n`;
-        summary += `- **Status:** ${insight.applied ? 'Applied ✓' : 'Not yet applied'}\n\n`;
+        summary += `- **Status:** ${insight.applied ? 'Applied ✓' : 'Not yet applied'}\n`;
+        index.interactionsFor(insight.id).forEach(({ relation, interaction }) => {
+          summary += `- **${relation === 'produced' ? 'Learned from' : 'Used in'}:** ${interaction.type} — ${interaction.topic} (${interaction.outcome})\n`;
+        });
+        summary += `\n`;
       });
     }
 
-    // High-impact unused insights
-    const unused = this.getUnusedInsights().slice(0, 3);
-    if (unused.length > 0) {
-      summary += `## 💡 High-Impact Insights to Apply\n\n`;
-      unused.forEach((insight, i) => {
-        summary += `${i + 1}. **${insight.category}:** ${insight.insight.slice(0, 80)}...\n`;
+    // Unapplied insights due for another look
+    const queue = this.reviewQueue();
+    if (queue.length > 0) {
+      summary += `## 🔁 Today's Review Queue\n\n`;
+      summary += `_Review each with \`rita insight review <id> ${REVIEW_OUTCOMES.join('|')}\`_\n\n`;
+      queue.forEach(({ insight, review }, i) => {
+        const last = review.history[review.history.length - 1];
+        summary += `${i + 1}. **${insight.category}:** ${insight.insight}\n`;
+        summary += `   \`${insight.id}\` · impact ${insight.impact}/10 · `;
+        summary += last ? `last reviewed ${last.at.split('T')[0]} (${last.outcome})\n` : `first review\n`;
       });
       summary += `\n`;
     }
@@ -142,12 +301,26 @@ class LearningLog {
     summary += `## 📊 Skill Development\n\n`;
     Object.entries(this.skills).forEach(([skill, data]) => {
       const bar = '█'.repeat(data.level) + '░'.repeat(10 - data.level);
-      summary += `- **${skill.replace('_', ' ')}:** ${bar} ${data.level}/10\n`;
-      if (data.learning.length > 0) {
+      const progress = data.level < 10 ? ` (${data.points}/${pointsToNext(data.level)} to next)` : '';
+      summary += `- **${skill.replace('_', ' ')}:** ${bar} ${data.level}/10${progress}\n`;
+      if (data.learning?.length > 0) {
         summary += `  Currently learning: ${data.learning.join(', ')}\n`;
       }
     });
 
+    // Level changes in the last week, and what caused them
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const changes = Object.entries(this.skills)
+      .flatMap(([skill, data]) => (data.history || []).map(change => ({ skill, ...change })))
+      .filter(change => change.at >= weekAgo)
+      .sort((a, b) => b.at.localeCompare(a.at));
+    if (changes.length > 0) {
+      summary += `\n**Recent changes:**\n`;
+      changes.forEach(c => {
+        summary += `- ${c.to > c.from ? '📈' : '📉'} ${c.skill.replace('_', ' ')} ${c.from} → ${c.to} on ${c.at.split('T')[0]} — ${c.reason}\n`;
+      });
+    }
+
     summary += `\n## 🎯 Tomorrow's Focus\n\n`;
     summary += `Based on my learning patterns, I should focus on:\n\n`;
     
@@ -170,7 +343,7 @@ class LearningLog {
     summary += `---\n`;
     summary += `*Learning is continuous. Every day I become more capable of helping Earth. 💙*\n`;
 
-    const summaryPath = join(LOG_DIR, `daily-summary-${today}.md`);
+    const summaryPath = join(this.config.learningLogDir, `daily-summary-${today}.md`);
     writeFileSync(summaryPath, summary);
 
     console.log(`✅ Daily summary saved: ${summaryPath}`);
@@ -179,133 +352,276 @@ class LearningLog {
 
   /**
    * Generate study guide for a topic
+   * Full insights (near-duplicates merged, foundations first, then by impact),
+   * related knowledge base entries and open recommendations, and the
+   * questions I still can't answer. Returns null when there's nothing on
+   * the topic to study yet.
    */
-  generateStudyGuide(topic) {
-    const relevant = this.findByTopic(topic);
-    
-    if (relevant.length === 0) {
-      return `No insights found for "${topic}". I should research this topic!`;
+  generateStudyGuide(topic, now = new Date()) {
+    const terms = topicTerms(topic);
+    const about = text => String(text || '').toLowerCase().includes(topic.toLowerCase()) ||
+      topicTerms(text).some(term => terms.includes(term));
+
+    const stores = this.gapStores();
+    const relevant = this.findByTopic(topic).filter(i => !isRetired(i));
+    const knowledge = Object.values(new MemoryCurator(this.config).categories).flat()
+      .filter(item => about(`${item.topic} ${item.insight}`));
+    const openRecommendations = stores.recommendations
+      .filter(rec => BACKLOG_STATUSES.includes(rec.status) && about(`${rec.what} ${rec.context || ''}`));
+    const evidence = this.knowledgeGaps.collectEvidence(stores, now);
+    const unknowns = unknownQuestions(terms.flatMap(term => evidence.get(term) || []));
+
+    if (relevant.length === 0 && knowledge.length === 0) {
+      console.log(`🔍 No insights found for "${topic}". I should research this topic!`);
+      return null;
     }
 
+    // An insight builds on the ones used by the interaction that produced it
+    const index = new EntityIndex({ sessions: stores.sessions, insights: this.insights });
+    const dependsOn = id => index.interactionsFor(id)
+      .filter(link => link.relation === 'produced')
+      .flatMap(link => link.interaction.used || []);
+    const items = orderByDependency(mergeNearDuplicates(relevant), dependsOn);
+    const merged = relevant.length - items.length;
+
     let guide = `# 📚 RITA's Study Guide: ${topic}\n\n`;
-    guide += `**Based on ${relevant.length} insights**\n\n`;
+    guide += `**Generated:** ${now.toISOString().split('T')[0]}\n`;
+    guide += `**Based on ${relevant.length} insights**${merged > 0 ? ` (${merged} near-duplicate${merged === 1 ? '' : 's'} merged)` : ''}\n\n`;
     guide += `---\n\n`;
 
-    // Group by category
-    const byCategory = {};
-    relevant.forEach(i => {
-      byCategory[i.category] = byCategory[i.category] || [];
-      byCategory[i.category].push(i);
+    guide += `## 🧩 What I Know\n\n`;
+    if (items.length === 0) {
+      guide += `_No insights of my own yet - only what's in the knowledge base below._\n\n`;
+    }
+    items.forEach(({ main, duplicates, buildsOn }, i) => {
+      guide += `### ${i + 1}. ${main.insight}\n`;
+      guide += `- **Category:** ${main.category}\n`;
+      guide += `- **Source:** ${main.source}\n`;
+      guide += `- **Impact:** ${main.impact}/10\n`;
+      guide += `- **Learned:** ${main.timestamp.split('T')[0]}\n`;
+      const applied = [main, ...duplicates].reduce((sum, insight) => sum + (insight.applicationCount || 0), 0);
+      if (applied > 0) {
+        guide += `- **Applied:** ${applied} times ✓\n`;
+      }
+      if (buildsOn.length > 0) {
+        guide += `- **Builds on:** ${buildsOn.map(n => `#${n}`).join(', ')}\n`;
+      }
+      duplicates.forEach(duplicate => {
+        guide += `- **Also noted (${duplicate.timestamp.split('T')[0]}):** ${duplicate.insight}\n`;
+      });
+      guide += `\n`;
     });
 
-    Object.entries(byCategory).forEach(([category, insights]) => {
-      guide += `## ${category.toUpperCase()}\n\n`;
-      insights.forEach(i => {
-        guide += `### ${i.insight.slice(0, 60)}...\n`;
-        guide += `- **Source:** ${i.source}\n`;
-        guide += `- **Impact:** ${i.impact}/10\n`;
-        guide += `- **Learned:** ${new Date(i.timestamp).toLocaleDateString()}\n`;
-        if (i.applied) {
-          guide += `- **Applied:** ${i.applicationCount} times ✓\n`;
-        }
-        guide += `\n`;
+    if (knowledge.length > 0) {
+      guide += `## 🧠 From My Knowledge Base\n\n`;
+      knowledge.forEach(item => {
+        guide += `- **${item.topic}:** ${item.insight} _(confidence ${item.confidence}/10)_\n`;
       });
+      guide += `\n`;
+    }
+
+    if (openRecommendations.length > 0) {
+      guide += `## 📌 Open Recommendations\n\n`;
+      openRecommendations.forEach(rec => {
+        guide += `- ${rec.what} — ${rec.status.replace('_', ' ')}${rec.followupDate ? `, follow up ${rec.followupDate.split('T')[0]}` : ''}\n`;
+      });
+      guide += `\n`;
+    }
+
+    guide += `## ❓ Unknowns\n\n`;
+    if (unknowns.length === 0) {
+      guide += `_No open questions on record - the next failure or empty search will show up here._\n\n`;
+    }
+    unknowns.forEach(question => {
+      guide += `- ${question}\n`;
     });
+    if (unknowns.length > 0) guide += `\n`;
 
     guide += `---\n`;
     guide += `*Study guide generated from my learning history*\n`;
 
-    const guidePath = join(LOG_DIR, `study-guide-${topic.replace(/\s+/g, '-').toLowerCase()}.md`);
+    const guidePath = this.studyGuidePath(topic);
     writeFileSync(guidePath, guide);
+    this.writeStudyGuideIndex();
 
     console.log(`✅ Study guide created: ${guidePath}`);
     return guide;
   }
 
   /**
-   * Generate knowledge gaps report
+   * What to study next: high-priority knowledge gaps first, then what my
+   * least developed skills are learning - minus guides I've completed
+   */
+  studyTopics(gaps = this.knowledgeGaps.open(), limit = STUDY_GUIDES_PER_RUN) {
+    const studied = new Set(this.skillTracker.data.studied.map(study => study.topic.toLowerCase()));
+    const learning = Object.values(this.skills)
+      .sort((a, b) => a.level - b.level)
+      .flatMap(skill => skill.learning || []);
+    const topics = [...gaps.filter(gap => gap.priority === 'high').map(gap => gap.topic), ...learning];
+    const seen = new Set(studied);
+    return topics.filter(topic => {
+      const key = topic.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).slice(0, limit);
+  }
+
+  /**
+   * Generate guides for several topics (and refresh the index)
+   */
+  generateStudyGuides(topics, now = new Date()) {
+    return topics.map(topic => this.generateStudyGuide(topic, now));
+  }
+
+  /**
+   * Index page linking every study guide on disk
+   */
+  writeStudyGuideIndex() {
+    const completed = {};
+    this.skillTracker.data.studied.forEach(study => {
+      completed[study.topic.toLowerCase()] = study.at;
+    });
+
+    const guides = readdirSync(this.config.learningLogDir)
+      .filter(file => /^study-guide-.+\.md$/.test(file))
+      .sort()
+      .map(file => {
+        const text = readFileSync(join(this.config.learningLogDir, file), 'utf8');
+        return {
+          file,
+          topic: text.match(/^# .*Study Guide: (.+)$/m)?.[1] || file,
+          generated: text.match(/^\*\*Generated:\*\* (.+)$/m)?.[1] || null,
+          items: (text.match(/^### \d+\./gm) || []).length,
+          unknowns: (text.split('## ❓ Unknowns')[1] || '').split('\n').filter(line => line.startsWith('- ')).length
+        };
+      });
+
+    let index = `# 📚 RITA's Study Guides\n\n`;
+    index += `| Topic | Items | Unknowns | Generated | Completed |\n`;
+    index += `|-------|-------|----------|-----------|-----------|\n`;
+    guides.forEach(guide => {
+      const done = completed[guide.topic.toLowerCase()];
+      index += `| [${guide.topic}](${guide.file}) | ${guide.items} | ${guide.unknowns} | ${guide.generated || '—'} | ${done ? done.split('T')[0] : '—'} |\n`;
+    });
+    index += `\n*Mark a guide done with \`rita skill studied <topic>\`*\n`;
+
+    writeFileSync(join(this.config.learningLogDir, 'study-guides.md'), index);
+    return guides;
+  }
+
+  /**
+   * Everything knowledge gaps are derived from
+   */
+  gapStores() {
+    return {
+      sessions: new TrendAnalyzer(this.config).sessions,
+      recommendations: new RecommendationTracker(this.config).getAll(),
+      searches: new MemoryCurator(this.config).searchHistory(),
+      insights: this.insights,
+      // Every category a skill learns from should have some insights
+      categories: Object.values(this.skills).flatMap(skill => skill.insightCategories || [])
+    };
+  }
+
+  /**
+   * Find knowledge gaps from evidence and write the gaps report
+   * Returns the open gaps, highest priority first.
    */
-  identifyKnowledgeGaps() {
-    // Topics Earth asks about that I had limited knowledge on
-    const gaps = [
-      { topic: 'Peptide industry regulations', priority: 'high', reason: 'Earth has peptide business' },
-      { topic: 'Advanced Etsy advertising', priority: 'medium', reason: 'Growth strategy for Asobo' },
-      { topic: 'International tax for digital products', priority: 'medium', reason: 'Global sales' },
-      { topic: 'Print-on-demand integration', priority: 'low', reason: 'Future expansion' }
-    ];
+  identifyKnowledgeGaps(now = new Date()) {
+    const gaps = this.knowledgeGaps.update(this.gapStores(), now);
+
+    const describe = gap => gap.kind === 'category' ? `${gap.topic} insights` : gap.topic;
+    const evidenceLines = gap => {
+      let lines = '';
+      gap.evidence.slice(0, 5).forEach(item => {
+        lines += `  - ${item.text}${item.at ? ` (${String(item.at).split('T')[0]})` : ''}\n`;
+      });
+      if (gap.evidence.length > 5) lines += `  - _…and ${gap.evidence.length - 5} more_\n`;
+      return lines;
+    };
 
     let report = `# 🔍 RITA's Knowledge Gap Analysis\n\n`;
-    report += `**Generated:** ${new Date().toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n\n`;
+    report += `**Generated:** ${now.toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n`;
+    report += `**Open gaps:** ${gaps.length}\n\n`;
 
+    const high = gaps.filter(g => g.priority === 'high');
     report += `## ⚠️ Priority Gaps\n\n`;
-    gaps.filter(g => g.priority === 'high').forEach(g => {
-      report += `### ${g.topic}\n`;
-      report += `- **Priority:** HIGH\n`;
-      report += `- **Why:** ${g.reason}\n`;
+    if (high.length === 0) {
+      report += `_No high-priority gaps right now._\n\n`;
+    }
+    high.forEach(g => {
+      report += `### ${describe(g)}\n`;
+      report += `- **Priority:** HIGH (score ${g.score})\n`;
+      report += `- **Open since:** ${g.openedAt.split('T')[0]}\n`;
+      report += `- **Covered so far:** ${g.coverage || 0}/${this.knowledgeGaps.settings.closeAfter} new insights\n`;
+      report += `- **Evidence:**\n${evidenceLines(g)}`;
       report += `- **Action:** Research and create study report\n\n`;
     });
 
-    report += `## 📋 Other Areas to Explore\n\n`;
-    gaps.filter(g => g.priority !== 'high').forEach(g => {
-      report += `- **${g.topic}** (${g.priority}) — ${g.reason}\n`;
-    });
+    const others = gaps.filter(g => g.priority !== 'high');
+    if (others.length > 0) {
+      report += `## 📋 Other Areas to Explore\n\n`;
+      others.forEach(g => {
+        report += `- **${describe(g)}** (${g.priority}, score ${g.score}) — ${g.evidence[0].text}`;
+        report += g.evidence.length > 1 ? ` (+${g.evidence.length - 1} more)\n` : `\n`;
+      });
+      report += `\n`;
+    }
+
+    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const closed = this.knowledgeGaps.closedSince(weekAgo);
+    if (closed.length > 0) {
+      report += `## ✅ Closed This Week\n\n`;
+      closed.forEach(g => {
+        report += `- **${describe(g)}** — ${g.closedReason}\n`;
+      });
+      report += `\n`;
+    }
 
-    report += `\n## 📚 Learning Plan\n\n`;
+    report += `## 📚 Learning Plan\n\n`;
     report += `1. This week: Research high-priority gaps\n`;
     report += `2. Next week: Create study reports\n`;
-    report += `3. Ongoing: Fill gaps as they emerge\n\n`;
+    report += `3. Ongoing: Log insights as I learn - gaps close once ${this.knowledgeGaps.settings.closeAfter} new insights cover them\n\n`;
 
-    const gapsPath = join(LOG_DIR, 'knowledge-gaps.md');
+    const gapsPath = join(this.config.learningLogDir, 'knowledge-gaps.md');
     writeFileSync(gapsPath, report);
 
     console.log(`✅ Knowledge gaps identified: ${gapsPath}`);
+    return gaps;
+  }
+
+  /**
+   * Seed example insights (idempotent - existing insights are skipped)
+   */
+  seed() {
+    let added = 0;
+    DEMO_INSIGHTS.forEach(demo => {
+      if (this.insights.some(i => i.insight === demo.insight)) return;
+      this.logInsight(demo.category, demo.insight, demo.source, demo.impact, demo.relatedTopics);
+      added++;
+    });
+    console.log(`🌱 Seeded ${added} example insights`);
+    return added;
   }
 
   /**
-   * Run the learning log
+   * Run the learning log over recorded insights
    */
   run() {
     console.log('📖 RITA Learning Log\n');
     console.log('Documenting my growth and insights...\n');
 
-    // Log some initial insights
-    this.logInsight(
-      'technical',
-      'Using sessions_spawn with different models and thinking levels produces more diverse agent outputs',
-      'success',
-      9,
-      ['agent swarm', 'model selection', 'parallel processing']
-    );
-
-    this.logInsight(
-      'interpersonal',
-      'Earth appreciates when I take initiative and surprise him with completed projects rather than just suggestions',
-      'observation',
-      10,
-      ['proactivity', 'initiative', 'relationship']
-    );
-
-    this.logInsight(
-      'business',
-      'Digital products on Etsy succeed with long-tail keyword strategy rather than broad competition',
-      'research',
-      8,
-      ['etsy', 'seo', 'digital products', 'keywords']
-    );
-
-    this.logInsight(
-      'self_awareness',
-      'Creating tools for myself (RITA Toolkit) increases my capabilities and helps Earth even when I\'m not directly asked',
-      'realization',
-      9,
-      ['self-improvement', 'automation', 'growth']
-    );
-
     this.generateDailySummary();
-    this.identifyKnowledgeGaps();
-
-    // Create a study guide for a topic
-    this.generateStudyGuide('Etsy');
+    const gaps = this.identifyKnowledgeGaps();
+
+    // Study guides for what the gaps and skills say to learn next
+    const topics = this.studyTopics(gaps);
+    if (topics.length > 0) {
+      this.generateStudyGuides(topics);
+    } else {
+      console.log('📚 Nothing new to study - every suggested guide is done');
+    }
 
     console.log('\n💙 Learning log complete. I\'m becoming more capable every day.');
     console.log(`📚 Total insights: ${this.insights.length}`);
@@ -315,6 +631,7 @@ class LearningLog {
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const log = new LearningLog();
+  if (process.argv.includes('--seed')) log.seed();
   log.run();
 }
 
@@ -0,0 +1,51 @@
+/**
+ * RITA's Insight Reviews
+ * Brings unapplied insights back on a spaced-repetition schedule
+ *
+ * Each insight carries its own schedule:
+ *
+ *   review: { step, dueAt, history: [{ at, outcome }] }
+ *
+ * A new insight is due `intervals[0]` days after it was logged. Reviewing it
+ * as still relevant moves it one step further out; applying it takes it off
+ * the queue; marking it obsolete retires it for good.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REVIEW_OUTCOMES = ['applied', 'relevant', 'obsolete'];
+
+export const REVIEW_DEFAULTS = {
+  // Days until the next review, one entry per step
+  intervals: [1, 3, 7, 14, 30, 60, 120],
+  // Most insights shown in one day's queue
+  perDay: 5
+};
+
+function addDays(iso, days) {
+  return new Date(new Date(iso).getTime() + days * DAY_MS).toISOString();
+}
+
+export function isRetired(insight) {
+  return Boolean(insight.retiredAt);
+}
+
+/**
+ * An insight's schedule - insights logged before reviews existed get one
+ * starting from when they were logged
+ */
+export function reviewState(insight, { intervals } = REVIEW_DEFAULTS) {
+  return insight.review || { step: 0, dueAt: addDays(insight.timestamp, intervals[0]), history: [] };
+}
+
+/**
+ * The schedule after a review
+ */
+export function nextReview(review, outcome, now = new Date(), { intervals } = REVIEW_DEFAULTS) {
+  const step = outcome === 'obsolete' ? review.step : Math.min(review.step + 1, intervals.length - 1);
+  return {
+    step,
+    dueAt: outcome === 'obsolete' ? null : addDays(now.toISOString(), intervals[step]),
+    history: [...review.history, { at: now.toISOString(), outcome }]
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * RITA's Skill Tracker
+ * Skill levels that move with evidence instead of staying where I set them
+ *
+ * What it does:
+ * - Keeps skills on disk (learning-log/skills.json), so they can be edited
+ * - Earns (or loses) points from matching interactions, applied insights
+ *   and completed study guides
+ * - Levels up/down when enough points build up, recording why each time
+ */
+
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { loadConfig } from '../../shared/src/config.js';
+import { withLock, writeJsonAtomic } from '../../shared/src/storage.js';
+import { escapeRegex } from '../../memory-curator/src/taxonomy.js';
+
+// Starting point for a new workspace - after that, skills.json is the source of truth
+export const DEFAULT_SKILLS = {
+  coding: {
+    level: 8,
+    learning: ['Advanced Node.js patterns', 'AI integration'],
+    interactionTypes: ['coding', 'debugging'],
+    insightCategories: ['technical'],
+    topics: ['code', 'coding', 'node', 'javascript', 'api', 'script']
+  },
+  business_strategy: {
+    level: 6,
+    learning: ['Etsy algorithms', 'Digital marketing'],
+    interactionTypes: ['business', 'strategy', 'brainstorming'],
+    insightCategories: ['business'],
+    topics: ['etsy', 'seo', 'marketing', 'business', 'pricing', 'sales']
+  },
+  emotional_intelligence: {
+    level: 7,
+    learning: ['Reading between the lines', 'Timing support'],
+    interactionTypes: ['emotional_support', 'conversation'],
+    insightCategories: ['interpersonal'],
+    topics: ['communication', 'empathy', 'relationship', 'support']
+  },
+  research: {
+    level: 8,
+    learning: ['Web scraping', 'Trend analysis'],
+    interactionTypes: ['research'],
+    insightCategories: ['research'],
+    topics: ['research', 'trend', 'analysis', 'market']
+  },
+  automation: {
+    level: 9,
+    learning: ['Advanced n8n', 'API orchestration'],
+    interactionTypes: ['automation'],
+    insightCategories: ['automation'],
+    topics: ['automation', 'n8n', 'workflow', 'cron', 'agent']
+  },
+  creativity: {
+    level: 7,
+    learning: ['Aesthetic trends', 'Product ideation'],
+    interactionTypes: ['brainstorming', 'design', 'creative'],
+    insightCategories: ['creative'],
+    topics: ['design', 'aesthetic', 'product', 'idea', 'coloring']
+  }
+};
+
+// Points each kind of evidence is worth
+export const EVIDENCE_POINTS = {
+  successful: 1,
+  partial: 0.5,
+  needs_followup: 0,
+  failed: -1,
+  insight: 2,
+  study: 3
+};
+
+const MIN_LEVEL = 1;
+const MAX_LEVEL = 10;
+
+// Higher levels take more evidence to reach
+export function pointsToNext(level) {
+  return level * 2;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+class SkillTracker {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.skillsFile = join(this.config.learningLogDir, 'skills.json');
+    this.data = this.load();
+  }
+
+  get skills() {
+    return this.data.skills;
+  }
+
+  load() {
+    const data = existsSync(this.skillsFile)
+      ? JSON.parse(readFileSync(this.skillsFile, 'utf8'))
+      : { skills: {} };
+    data.skills = data.skills || {};
+    data.seen = data.seen || [];
+    data.studied = data.studied || [];
+    if (Object.keys(data.skills).length === 0) {
+      Object.entries(DEFAULT_SKILLS).forEach(([name, skill]) => {
+        data.skills[name] = { ...skill, points: 0, history: [] };
+      });
+    }
+    return data;
+  }
+
+  save() {
+    if (!existsSync(this.config.learningLogDir)) {
+      mkdirSync(this.config.learningLogDir, { recursive: true });
+    }
+    this.data.updatedAt = new Date().toISOString();
+    withLock(this.skillsFile, () => writeJsonAtomic(this.skillsFile, this.data));
+  }
+
+  /**
+   * Record a finished study guide - counts as evidence on the next update
+   */
+  recordStudy(topic, at = new Date().toISOString()) {
+    this.data.studied.push({ topic, at });
+    this.save();
+  }
+
+  /**
+   * Topics are plain words from skills.json ("c++" is just c++), matched at
+   * the start of a word
+   */
+  matchesTopic(skill, topic) {
+    return (skill.topics || []).some(keyword => {
+      const start = /^\w/.test(keyword) ? '\\b' : '';
+      return new RegExp(`${start}${escapeRegex(keyword)}`, 'i').test(topic);
+    });
+  }
+
+  /**
+   * Evidence not counted yet: [{ key, skills, points, label }]
+   */
+  newEvidence(sessions, insights) {
+    const seen = new Set(this.data.seen);
+    const skills = Object.entries(this.skills);
+    const evidence = [];
+
+    sessions.forEach(session => {
+      (session.interactions || []).forEach(interaction => {
+        const key = `interaction:${interaction.id}`;
+        if (seen.has(key) || !(interaction.outcome in EVIDENCE_POINTS)) return;
+        evidence.push({
+          key,
+          skills: skills.filter(([, s]) => (s.interactionTypes || []).includes(interaction.type)).map(([name]) => name),
+          points: EVIDENCE_POINTS[interaction.outcome],
+          label: `${interaction.outcome} ${interaction.type} interaction`
+        });
+      });
+    });
+
+    insights.filter(i => i.applied).forEach(insight => {
+      const key = `insight:${insight.id}`;
+      if (seen.has(key)) return;
+      evidence.push({
+        key,
+        skills: skills.filter(([, s]) => (s.insightCategories || []).includes(insight.category)).map(([name]) => name),
+        points: EVIDENCE_POINTS.insight,
+        label: `applied ${insight.category} insight`
+      });
+    });
+
+    this.data.studied.forEach(study => {
+      const key = `study:${study.topic.toLowerCase()}:${study.at}`;
+      if (seen.has(key)) return;
+      evidence.push({
+        key,
+        skills: skills.filter(([, s]) => this.matchesTopic(s, study.topic)).map(([name]) => name),
+        points: EVIDENCE_POINTS.study,
+        label: `completed study guide ("${study.topic}")`
+      });
+    });
+
+    return evidence;
+  }
+
+  /**
+   * Count new evidence and move levels
+   * Returns the level changes made: [{ skill, from, to, reason }]
+   */
+  update({ sessions = [], insights = [] } = {}, now = new Date()) {
+    const evidence = this.newEvidence(sessions, insights);
+    if (evidence.length === 0) return [];
+
+    const tallies = {};
+    evidence.forEach(item => {
+      item.skills.forEach(name => {
+        const skill = this.skills[name];
+        skill.points = (skill.points || 0) + item.points;
+        tallies[name] = tallies[name] || {};
+        tallies[name][item.label] = (tallies[name][item.label] || 0) + 1;
+      });
+      this.data.seen.push(item.key);
+    });
+
+    const changes = [];
+    Object.entries(tallies).forEach(([name, labels]) => {
+      const skill = this.skills[name];
+      const reason = Object.entries(labels)
+        .sort((a, b) => b[1] - a[1])
+        .map(([label, count]) => plural(count, label))
+        .join(', ');
+      const from = skill.level;
+      const total = skill.points;
+
+      while (skill.level < MAX_LEVEL && skill.points >= pointsToNext(skill.level)) {
+        skill.points -= pointsToNext(skill.level);
+        skill.level++;
+      }
+      // Losing a level takes as much bad evidence as gaining the one below it
+      while (skill.level > MIN_LEVEL && skill.points <= -pointsToNext(skill.level - 1)) {
+        skill.level--;
+        skill.points += pointsToNext(skill.level);
+      }
+      // Nowhere further to go
+      if (skill.level === MAX_LEVEL) skill.points = Math.min(skill.points, pointsToNext(MAX_LEVEL));
+      if (skill.level === MIN_LEVEL) skill.points = Math.max(skill.points, 0);
+
+      if (skill.level !== from) {
+        const change = {
+          at: now.toISOString(),
+          from,
+          to: skill.level,
+          reason: `${reason} — ${total} points at level ${from}`
+        };
+        skill.history = [...(skill.history || []), change];
+        changes.push({ skill: name, ...change });
+      }
+    });
+
+    this.save();
+    changes.forEach(c => {
+      console.log(`${c.to > c.from ? '📈' : '📉'} ${c.skill}: ${c.from} → ${c.to} (${c.reason})`);
+    });
+    return changes;
+  }
+}
+
+export default SkillTracker;
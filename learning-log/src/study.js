@@ -0,0 +1,88 @@
+/**
+ * RITA's Study Guide Helpers
+ * Turns a pile of insights on one topic into something worth reading
+ *
+ * - Merges near-duplicate insights into one item
+ * - Orders items so what an insight builds on comes first, then by impact
+ * - Phrases unanswered evidence as open questions
+ */
+
+import { topicTerms } from './gaps.js';
+
+// Insights sharing at least this share of words are the same lesson
+const DUPLICATE_THRESHOLD = 0.6;
+
+function similarity(a, b) {
+  const shared = a.filter(word => b.includes(word)).length;
+  const union = new Set([...a, ...b]).size;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Group near-duplicate insights: [{ main, duplicates, ids }]
+ * The highest-impact (then earliest) insight of a group is its main one.
+ */
+export function mergeNearDuplicates(insights) {
+  const groups = [];
+  const ranked = [...insights].sort((a, b) => b.impact - a.impact || a.timestamp.localeCompare(b.timestamp));
+  ranked.forEach(insight => {
+    const terms = topicTerms(insight.insight);
+    const group = groups.find(g => similarity(g.terms, terms) >= DUPLICATE_THRESHOLD);
+    if (group) {
+      group.duplicates.push(insight);
+      group.ids.push(insight.id);
+    } else {
+      groups.push({ main: insight, duplicates: [], ids: [insight.id], terms });
+    }
+  });
+  return groups.map(({ terms, ...group }) => group);
+}
+
+/**
+ * Order groups so each comes after the groups it builds on; among the
+ * groups that are ready, highest impact first. `dependsOn(id)` returns the
+ * insight IDs an insight builds on. Cycles are broken by impact.
+ */
+export function orderByDependency(groups, dependsOn) {
+  const groupOf = new Map();
+  groups.forEach(group => group.ids.forEach(id => groupOf.set(id, group)));
+
+  const deps = new Map(groups.map(group => [group, new Set(
+    group.ids
+      .flatMap(id => dependsOn(id))
+      .map(id => groupOf.get(id))
+      .filter(other => other && other !== group)
+  )]));
+
+  const byImpact = (a, b) => b.main.impact - a.main.impact || a.main.timestamp.localeCompare(b.main.timestamp);
+  const ordered = [];
+  const remaining = [...groups];
+  while (remaining.length > 0) {
+    const ready = remaining.filter(group => [...deps.get(group)].every(dep => ordered.includes(dep)));
+    const next = (ready.length > 0 ? ready : remaining).sort(byImpact)[0];
+    ordered.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+
+  return ordered.map(group => ({
+    ...group,
+    buildsOn: [...deps.get(group)].map(dep => ordered.indexOf(dep) + 1).sort((a, b) => a - b)
+  }));
+}
+
+/**
+ * Open questions from knowledge gap evidence (see KnowledgeGaps.collectEvidence)
+ */
+export function unknownQuestions(evidence) {
+  const questions = new Map();
+  evidence.forEach(item => {
+    const [, detail] = item.text.split(/: (.*)/s);
+    let question;
+    if (item.kind === 'unanswered') question = `What's the answer to ${detail}? I searched and found nothing.`;
+    if (item.kind === 'failed') question = `Why did "${detail}" fail, and what would have worked?`;
+    if (item.kind === 'partial') question = `What was missing from "${detail}"?`;
+    if (item.kind === 'rejected') question = `Why wasn't "${detail}" right for Earth?`;
+    if (question && !questions.has(question)) questions.set(question, item.at);
+  });
+  return [...questions.keys()];
+}
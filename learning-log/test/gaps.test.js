@@ -0,0 +1,103 @@
+/**
+ * Knowledge gap tests: evidence, priorities and closing covered gaps
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import KnowledgeGaps, { topicTerms, topicWords } from '../src/gaps.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-gaps-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const session = (...interactions) => ({
+  date: '2026-03-05',
+  interactions: interactions.map(([topic, outcome], i) => ({
+    id: `i${i}`, type: 'research', topic, outcome, timestamp: '2026-03-05T10:00:00.000Z'
+  }))
+});
+
+const insight = (id, text, timestamp, category = 'business') => ({ id, category, insight: text, timestamp });
+
+// Enough business insights that the category itself isn't sparse
+const BUSINESS = [1, 2, 3].map(i => insight(`b${i}`, 'Bundles sell well', '2026-01-01T00:00:00.000Z'));
+
+test('topic words share the search stemmer and skip filler', () => {
+  assert.deepEqual([...topicWords('Earth asked why my Etsy listings failed - listing photos')], [
+    ['ask', 'asked'], ['etsy', 'etsy'], ['list', 'listings'], ['fail', 'failed'], ['photo', 'photos']
+  ]);
+  assert.deepEqual(topicTerms('Using the new Etsy listing'), ['etsy', 'list']);
+});
+
+test('failed work, rejections and empty searches on a topic add up to a gap', () => {
+  const gaps = new KnowledgeGaps({ root });
+  const open = gaps.update({
+    sessions: [session(['Etsy listings', 'failed'], ['Etsy listing photos', 'partial'], ['Cooking', 'successful'])],
+    recommendations: [{
+      what: 'Rewrite every listing', history: [{ from: 'pending', to: 'rejected', at: '2026-03-06T00:00:00.000Z' }]
+    }],
+    searches: [{ query: 'listing category:business', results: 0, at: '2026-03-07T00:00:00.000Z' }],
+    insights: BUSINESS
+  }, NOW);
+
+  const listing = open.find(gap => gap.key === 'list');
+  assert.equal(listing.topic, 'listings');
+  // failed 2 + partial 1 + rejected 2 + unanswered 3
+  assert.equal(listing.score, 8);
+  assert.equal(listing.priority, 'high');
+  assert.deepEqual(listing.evidence.map(item => item.kind), ['unanswered', 'rejected', 'failed', 'partial']);
+  // "photos" and "etsy" have some evidence, but not enough
+  assert.equal(open.find(gap => gap.key === 'photo'), undefined);
+  assert.equal(open.find(gap => gap.key === 'cook'), undefined);
+  assert.equal(open[0], listing);
+});
+
+test('evidence older than the window does not count', () => {
+  const old = session(['Kubernetes', 'failed'], ['Kubernetes', 'failed']);
+  old.interactions.forEach(interaction => { interaction.timestamp = '2025-10-01T00:00:00.000Z'; });
+  assert.deepEqual(new KnowledgeGaps({ root }).update({ sessions: [old], insights: BUSINESS }, NOW), []);
+});
+
+test('categories with few insights are gaps', () => {
+  const open = new KnowledgeGaps({ root }).update({ insights: BUSINESS, categories: ['business', 'technical'] }, NOW);
+  assert.deepEqual(open.map(gap => [gap.key, gap.kind, gap.score]), [['category:technical', 'category', 3]]);
+});
+
+test('a gap closes once enough new insights cover it, and reopens on new evidence', () => {
+  const stores = { sessions: [session(['Kubernetes', 'failed'], ['Kubernetes', 'partial'])], insights: [...BUSINESS] };
+  const first = new KnowledgeGaps({ root });
+  assert.deepEqual(first.update(stores, NOW).map(gap => gap.key), ['kubernet']);
+
+  // Only insights logged after it opened count
+  stores.insights.push(insight('k0', 'Kubernetes pods restart on failure', '2026-03-01T00:00:00.000Z', 'technical'));
+  stores.insights.push(insight('k1', 'Kubernetes pods restart on failure', '2026-03-11T00:00:00.000Z', 'technical'));
+  const later = new Date('2026-03-11T12:00:00Z');
+  assert.equal(new KnowledgeGaps({ root }).update(stores, later)[0].coverage, 1);
+
+  stores.insights.push(insight('k2', 'Kubernetes services need a selector', '2026-03-11T01:00:00.000Z', 'technical'));
+  const covered = new KnowledgeGaps({ root });
+  covered.update(stores, later);
+  const [gap] = covered.closedSince('2026-03-11');
+  assert.deepEqual([gap.key, gap.coveredBy], ['kubernet', ['k1', 'k2']]);
+
+  // The same old evidence doesn't reopen it, new failures do
+  assert.deepEqual(new KnowledgeGaps({ root }).update(stores, later).filter(g => g.kind === 'topic'), []);
+  const failure = (id, topic) => ({ id, type: 'coding', topic, outcome: 'failed', timestamp: '2026-03-12T00:00:00.000Z' });
+  stores.sessions.push({ date: '2026-03-12', interactions: [failure('n1', 'Kubernetes ingress'), failure('n2', 'Kubernetes secrets')] });
+  const [reopened] = new KnowledgeGaps({ root }).update(stores, new Date('2026-03-12T12:00:00Z'));
+  assert.deepEqual([reopened.key, reopened.status, reopened.score], ['kubernet', 'open', 4]);
+});
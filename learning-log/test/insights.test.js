@@ -0,0 +1,57 @@
+/**
+ * Learning log tests: what the nightly run studies next
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import LearningLog from '../src/insights.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-insights-'));
+  mkdirSync(join(root, 'learning-log'));
+  writeFileSync(join(root, 'learning-log', 'skills.json'), JSON.stringify({
+    skills: {
+      business: { level: 2, learning: ['etsy seo', 'Pricing'] },
+      coding: { level: 6, learning: ['Rust', 'WebSockets'] }
+    },
+    studied: [{ topic: 'pricing', at: '2026-03-01T00:00:00.000Z' }]
+  }));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+const GAPS = [
+  { topic: 'Etsy SEO', priority: 'high' },
+  { topic: 'Kubernetes', priority: 'low' }
+];
+
+test('study topics come from high-priority gaps, then the weakest skills', () => {
+  const log = new LearningLog({ root });
+  // "etsy seo" is the gap again, "Pricing" is done and low-priority gaps wait
+  assert.deepEqual(log.studyTopics(GAPS), ['Etsy SEO', 'Rust', 'WebSockets']);
+  assert.deepEqual(log.studyTopics(GAPS, 2), ['Etsy SEO', 'Rust']);
+});
+
+test('nothing to study once every suggested guide is done', () => {
+  const log = new LearningLog({ root });
+  ['Etsy SEO', 'Rust', 'WebSockets'].forEach(topic => log.skillTracker.recordStudy(topic));
+  assert.deepEqual(log.studyTopics(GAPS), []);
+});
+
+test('a topic with nothing to study says so instead of writing a guide', () => {
+  const log = new LearningLog({ root });
+  const said = [];
+  console.log.mock.mockImplementation(line => said.push(line));
+  assert.equal(log.generateStudyGuide('Rust'), null);
+  assert.deepEqual(said, ['🔍 No insights found for "Rust". I should research this topic!']);
+});
@@ -0,0 +1,74 @@
+/**
+ * Skill tracker tests: evidence, levels and topic matching
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import SkillTracker, { pointsToNext } from '../src/skills.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-skills-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+function trackerWith(skills) {
+  mkdirSync(join(root, 'learning-log'));
+  writeFileSync(join(root, 'learning-log', 'skills.json'), JSON.stringify({ skills }));
+  return new SkillTracker({ root });
+}
+
+const interactions = (type, outcome, count) => ({
+  interactions: Array.from({ length: count }, (_, i) => ({ id: `${type}-${outcome}-${i}`, type, outcome }))
+});
+
+test('topics from skills.json match as plain text', () => {
+  const tracker = trackerWith({ systems: { level: 5, topics: ['c++', '.net', 'node'] } });
+  const skill = tracker.skills.systems;
+  assert.equal(tracker.matchesTopic(skill, 'Modern C++ templates'), true);
+  assert.equal(tracker.matchesTopic(skill, 'ASP.NET hosting'), true);
+  assert.equal(tracker.matchesTopic(skill, 'Node streams'), true);
+  assert.equal(tracker.matchesTopic(skill, 'Cooking'), false);
+  // Only at the start of a word
+  assert.equal(tracker.matchesTopic(skill, 'Anode chemistry'), false);
+});
+
+test('a completed study guide on a "c++" topic counts toward the skill', () => {
+  const tracker = trackerWith({ systems: { level: 1, topics: ['c++'] } });
+  tracker.recordStudy('C++ memory model', '2026-03-01T00:00:00.000Z');
+  const changes = tracker.update({}, new Date('2026-03-01T12:00:00Z'));
+  assert.deepEqual(changes.map(c => [c.skill, c.from, c.to]), [['systems', 1, 2]]);
+});
+
+test('enough successful interactions level a skill up, with the reason recorded', () => {
+  const tracker = trackerWith({ coding: { level: 3, interactionTypes: ['coding'] } });
+  const [change] = tracker.update({ sessions: [interactions('coding', 'successful', pointsToNext(3))] });
+  assert.equal(change.to, 4);
+  assert.match(change.reason, /6 successful coding interactions/);
+  assert.equal(new SkillTracker({ root }).skills.coding.history.length, 1);
+});
+
+test('failures level a skill down, and evidence is only counted once', () => {
+  const tracker = trackerWith({ coding: { level: 3, interactionTypes: ['coding'] } });
+  const session = interactions('coding', 'failed', pointsToNext(2));
+  assert.equal(tracker.update({ sessions: [session] })[0].to, 2);
+  assert.deepEqual(tracker.update({ sessions: [session] }), []);
+  assert.equal(tracker.skills.coding.level, 2);
+});
+
+test('applied insights count for skills of their category', () => {
+  const tracker = trackerWith({ business: { level: 1, insightCategories: ['business'] } });
+  tracker.update({ insights: [{ id: 'i1', category: 'business', applied: true }, { id: 'i2', category: 'business', applied: false }] });
+  assert.equal(tracker.skills.business.level, 2);
+  assert.equal(tracker.skills.business.points, 0);
+});
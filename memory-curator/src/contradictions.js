@@ -0,0 +1,247 @@
+/**
+ * RITA's Contradiction Checker
+ * Notices when two things I believe about Earth can't both be true
+ *
+ * Statements are Earth preferences from the knowledge base and learning log
+ * insights. Only statements with overlapping topics (a knowledge entry's
+ * topic, an insight's related topics) are compared, and they're flagged when:
+ * - negation: a word is negated in one and said plainly in the other
+ *   ("wants hand-holding" / "doesn't want hand-holding")
+ * - antonym: one says a word and the other its opposite
+ *   ("likes long reports" / "dislikes long reports")
+ * and, apart from those words, their texts share at least `minOverlap`
+ * content words. Label words ("preference", "insight"...) never count as
+ * shared - they say nothing about what a statement is about.
+ *
+ * A negation covers the one word it governs (and its hyphenated parts):
+ * "doesn't want emojis in reports" negates "want", not "reports".
+ *
+ * Open contradictions and how they were resolved are kept in
+ * knowledge-base/contradictions.json. A resolved pair is never flagged again.
+ *
+ * Tune it under "contradictions" in rita.config.json:
+ *
+ *   { "contradictions": { "minOverlap": 2, "antonyms": [["remote", "onsite"]], "categories": ["earth_preferences"] } }
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { loadConfig } from '../../shared/src/config.js';
+import { withLock, writeJsonAtomic } from '../../shared/src/storage.js';
+import { FILLER_WORDS, stem, tokenize } from '../../shared/src/search.js';
+
+export const RESOLUTIONS = ['retract', 'context'];
+
+export const CONTRADICTION_DEFAULTS = {
+  // Content words two statements must share (besides the contradicting ones) to be about the same thing
+  minOverlap: 2,
+  // Extra opposites, added to the built-in ones
+  antonyms: [],
+  // Knowledge base categories checked (insights are always checked)
+  categories: ['earth_preferences']
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'nor', 'without', 'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent',
+  'wont', 'cant', 'cannot', 'shouldnt', 'wouldnt', 'hardly'
+]);
+
+// Words between a negation and the word it governs ("don't really want", "not to be")
+const NEGATION_SKIP = new Set(['a', 'an', 'the', 'to', 'be', 'been', 'really', 'always', 'ever', 'even', 'quite', 'so', 'too', 'very', 'just'].map(stem));
+
+const ANTONYMS = [
+  ['like', 'dislike'], ['love', 'hate'], ['enjoy', 'hate'], ['prefer', 'avoid'], ['want', 'refuse'],
+  ['appreciate', 'resent'], ['short', 'long'], ['brief', 'detailed'], ['fast', 'slow'], ['early', 'late'],
+  ['morning', 'evening'], ['proactive', 'reactive'], ['independent', 'dependent'], ['simple', 'complex'],
+  ['formal', 'casual'], ['quiet', 'loud'], ['more', 'less']
+];
+
+// Names every statement shares, and words that label a statement rather
+// than say what it's about
+const IGNORED_WORDS = new Set([
+  'earth', 'rita', 'preference', 'pattern', 'insight', 'learning', 'lesson', 'note', 'observation', 'topic'
+].map(stem));
+
+/**
+ * Stems of a word's common inflections ("like" matches likes, liked, liking)
+ */
+function forms(word) {
+  const w = word.toLowerCase();
+  return new Set([w, `${w}s`, `${w}d`, `${w}ed`, `${w}ing`, `${w.replace(/e$/, '')}ing`].map(stem));
+}
+
+/**
+ * Terms of a statement's text: said plainly, negated, and the content
+ * words that say what it's about
+ */
+export function analyze(text) {
+  const plain = new Set();
+  const negated = new Set();
+  let negating = false;
+  String(text || '').split(/\s+/).forEach(word => {
+    const terms = tokenize(word, { keepStopWords: true });
+    // Checked unstemmed - "noted" stems to "not"
+    if (NEGATIONS.has(word.toLowerCase().replace(/[^a-z]/g, ''))) {
+      negating = true;
+    } else if (terms.length > 0 && !(negating && terms.every(term => NEGATION_SKIP.has(term)))) {
+      terms.forEach(term => (negating ? negated : plain).add(term));
+      negating = false;
+    }
+    // A negation doesn't reach past the end of its clause
+    if (/[.,;:!?]$/.test(word)) negating = false;
+  });
+
+  const content = new Set(tokenize(text).filter(term =>
+    !NEGATIONS.has(term) && !FILLER_WORDS.has(term) && !IGNORED_WORDS.has(term)
+  ));
+  return { plain, negated, content };
+}
+
+/**
+ * Content words of a statement's topics ({ topic, topics? })
+ */
+export function topicTerms(statement) {
+  return new Set((statement.topics || [statement.topic]).flatMap(topic => [...analyze(topic).content]));
+}
+
+/**
+ * Why two statements' texts contradict ({ rule, terms }), or null
+ */
+export function conflict(a, b, { minOverlap, antonyms }) {
+  const shared = [...a.content].filter(term => b.content.has(term));
+
+  // Negated on one side only, and said plainly on the other
+  const negatedIn = (x, y, term) => x.negated.has(term) && !x.plain.has(term) && y.plain.has(term) && !y.negated.has(term);
+  const flipped = shared.filter(term => negatedIn(a, b, term) || negatedIn(b, a, term));
+  if (flipped.length > 0 && shared.filter(term => !flipped.includes(term)).length >= minOverlap) {
+    return { rule: 'negation', terms: flipped };
+  }
+
+  for (const [x, y] of antonyms) {
+    const xs = forms(x);
+    const ys = forms(y);
+    const says = (statement, set) => [...set].some(term => statement.plain.has(term));
+    if ((says(a, xs) && says(b, ys)) || (says(a, ys) && says(b, xs))) {
+      const about = shared.filter(term => !xs.has(term) && !ys.has(term));
+      if (about.length >= minOverlap) return { rule: 'antonym', terms: [x, y] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Stable id for a pair of statements
+ */
+export function contradictionId(a, b) {
+  const key = [a.id, b.id].sort().join('|');
+  return `c-${createHash('sha256').update(key).digest('hex').slice(0, 8)}`;
+}
+
+class ContradictionChecker {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.stateFile = join(this.config.knowledgeBaseDir, 'contradictions.json');
+    this.settings = { ...CONTRADICTION_DEFAULTS, ...this.config.contradictions };
+    this.antonyms = [...ANTONYMS, ...this.settings.antonyms];
+    this.state = this.load();
+  }
+
+  load() {
+    if (existsSync(this.stateFile)) {
+      return JSON.parse(readFileSync(this.stateFile, 'utf8'));
+    }
+    return { open: [], resolved: [] };
+  }
+
+  /**
+   * Save under the file's lock - resolutions recorded by another process
+   * meanwhile are kept (and taken off my open list)
+   */
+  save() {
+    withLock(this.stateFile, () => {
+      const mine = new Set(this.state.resolved.map(entry => entry.id));
+      const theirs = this.load().resolved.filter(entry => !mine.has(entry.id));
+      const resolved = [...this.state.resolved, ...theirs];
+      const settled = new Set(resolved.map(entry => entry.id));
+      this.state = { ...this.state, open: this.state.open.filter(entry => !settled.has(entry.id)), resolved };
+      writeJsonAtomic(this.stateFile, { ...this.state, updatedAt: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * Compare every pair of statements ({ store, id, topic, topics?, text })
+   * that share a topic word
+   * Returns the open contradictions: [{ id, rule, terms, sides, detectedAt }]
+   */
+  check(statements, now = new Date()) {
+    const resolved = new Set(this.state.resolved.map(entry => entry.id));
+    const previous = new Map(this.state.open.map(entry => [entry.id, entry]));
+    const analyzed = statements.map(statement => ({ statement, topics: topicTerms(statement), ...analyze(statement.text) }));
+
+    const open = [];
+    analyzed.forEach((a, i) => {
+      for (let j = i + 1; j < analyzed.length; j++) {
+        const b = analyzed[j];
+        const id = contradictionId(a.statement, b.statement);
+        if (resolved.has(id) || ![...a.topics].some(term => b.topics.has(term))) continue;
+        const found = conflict(a, b, { minOverlap: this.settings.minOverlap, antonyms: this.antonyms });
+        if (!found) continue;
+        open.push({
+          id,
+          ...found,
+          sides: [a.statement, b.statement],
+          detectedAt: previous.get(id)?.detectedAt || now.toISOString()
+        });
+      }
+    });
+
+    this.state.open = open;
+    this.save();
+    return open;
+  }
+
+  open() {
+    return this.state.open;
+  }
+
+  find(id) {
+    return this.state.open.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Record how a contradiction was settled and take it off the open list
+   * `retracted` is the id of the side that was retracted ('retract' only).
+   */
+  resolve(id, resolution, { retracted = null, note = null } = {}, now = new Date()) {
+    const contradiction = this.find(id);
+    this.state.open = this.state.open.filter(entry => entry.id !== id);
+    const entry = {
+      id,
+      resolution,
+      sides: contradiction.sides.map(side => ({ store: side.store, id: side.id, topic: side.topic })),
+      at: now.toISOString()
+    };
+    if (retracted) entry.retracted = retracted;
+    if (note) entry.note = note;
+    this.state.resolved.push(entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Ids of statements marked context-dependent, with the notes saying when each applies
+   */
+  contextDependent() {
+    const notes = new Map();
+    this.state.resolved
+      .filter(entry => entry.resolution === 'context')
+      .forEach(entry => entry.sides.forEach(side => {
+        const other = entry.sides.find(s => s.id !== side.id);
+        notes.set(side.id, [...(notes.get(side.id) || []), entry.note || `vs. ${other.topic}`]);
+      }));
+    return notes;
+  }
+}
+
+export default ContradictionChecker;
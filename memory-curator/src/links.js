@@ -0,0 +1,216 @@
+/**
+ * RITA's Knowledge Links
+ * Connects knowledge entries that talk about the same things
+ *
+ * Similarity is TF-IDF cosine over each entry's topic (counted twice) and
+ * insight, using the search engine's stemming, minus filler words. Links are
+ * stored on the entries themselves as `related: [{ id, score }]`.
+ *
+ * Links go strongest first, while both entries have fewer than `maxLinks`,
+ * so every link is on both of its entries and the graph only depends on the
+ * entries - not on the order they were linked in.
+ *
+ * Term counts and document frequencies are kept in
+ * knowledge-base/link-index.json, so linking new entries only tokenizes
+ * them. Every score depends on the document frequencies, though, so the
+ * graph itself is recomputed from the index whenever entries come or go.
+ * `rebuild()` re-reads everything too (after editing entries by hand).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { loadConfig } from '../../shared/src/config.js';
+import { withLock, writeJsonAtomic } from '../../shared/src/storage.js';
+import { FILLER_WORDS, tokenize } from '../../shared/src/search.js';
+
+export const LINK_DEFAULTS = {
+  // Entries scoring below this aren't related
+  threshold: 0.2,
+  // Most links kept per entry (the strongest)
+  maxLinks: 5
+};
+
+function round(score) {
+  return Math.round(score * 1000) / 1000;
+}
+
+class KnowledgeLinks {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.indexFile = join(this.config.knowledgeBaseDir, 'link-index.json');
+    this.settings = { ...LINK_DEFAULTS, ...this.config.links };
+    this.state = this.load();
+  }
+
+  load() {
+    if (existsSync(this.indexFile)) {
+      return JSON.parse(readFileSync(this.indexFile, 'utf8'));
+    }
+    return null;
+  }
+
+  save() {
+    withLock(this.indexFile, () => {
+      writeJsonAtomic(this.indexFile, { ...this.state, updatedAt: new Date().toISOString() }, { indent: 0 });
+    });
+  }
+
+  reset() {
+    this.state = { count: 0, df: {}, tf: {} };
+  }
+
+  termCounts(entry) {
+    const counts = {};
+    [...tokenize(entry.topic), ...tokenize(entry.topic), ...tokenize(entry.insight)]
+      .filter(term => !FILLER_WORDS.has(term))
+      .forEach(term => {
+        counts[term] = (counts[term] || 0) + 1;
+      });
+    return counts;
+  }
+
+  index(entry) {
+    const counts = this.termCounts(entry);
+    Object.keys(counts).forEach(term => { this.state.df[term] = (this.state.df[term] || 0) + 1; });
+    this.state.tf[entry.id] = counts;
+    this.state.count++;
+  }
+
+  unindex(id) {
+    Object.keys(this.state.tf[id]).forEach(term => {
+      this.state.df[term]--;
+      if (this.state.df[term] === 0) delete this.state.df[term];
+    });
+    delete this.state.tf[id];
+    this.state.count--;
+  }
+
+  /**
+   * TF-IDF weights and their norm for an indexed entry
+   */
+  vector(id) {
+    const weights = {};
+    let norm = 0;
+    Object.entries(this.state.tf[id] || {}).forEach(([term, tf]) => {
+      // Smoothed IDF: shared common words still count, just much less
+      const idf = Math.log((this.state.count + 1) / ((this.state.df[term] || 0) + 1)) + 1;
+      weights[term] = tf * idf;
+      norm += weights[term] ** 2;
+    });
+    return { weights, norm: Math.sqrt(norm) };
+  }
+
+  similarity(a, b) {
+    if (a.norm === 0 || b.norm === 0) return 0;
+    let dot = 0;
+    Object.entries(a.weights).forEach(([term, weight]) => {
+      if (b.weights[term]) dot += weight * b.weights[term];
+    });
+    return dot / (a.norm * b.norm);
+  }
+
+  /**
+   * Replace every entry's links from the index
+   * Returns the number of links.
+   */
+  connectAll(entries) {
+    const vectors = entries.map(entry => this.vector(entry.id));
+    const pairs = [];
+    entries.forEach((entry, i) => {
+      for (let j = i + 1; j < entries.length; j++) {
+        const score = this.similarity(vectors[i], vectors[j]);
+        if (score >= this.settings.threshold) {
+          const [a, b] = [entry, entries[j]].sort((x, y) => x.id.localeCompare(y.id));
+          pairs.push({ a, b, score: round(score) });
+        }
+      }
+    });
+    pairs.sort((x, y) => y.score - x.score || x.a.id.localeCompare(y.a.id) || x.b.id.localeCompare(y.b.id));
+
+    entries.forEach(entry => { entry.related = []; });
+    let links = 0;
+    pairs.forEach(({ a, b, score }) => {
+      if (a.related.length >= this.settings.maxLinks || b.related.length >= this.settings.maxLinks) return;
+      a.related.push({ id: b.id, score });
+      b.related.push({ id: a.id, score });
+      links++;
+    });
+    return links;
+  }
+
+  /**
+   * Index entries that aren't indexed yet (and drop ones that are gone),
+   * then recompute the links - the same graph rebuild() would give
+   * Returns the number of new links.
+   */
+  link(entries) {
+    if (!this.state) return this.rebuild(entries);
+
+    const ids = new Set(entries.map(entry => entry.id));
+    const gone = Object.keys(this.state.tf).filter(id => !ids.has(id));
+    const fresh = entries.filter(entry => !this.state.tf[entry.id]);
+    if (fresh.length === 0 && gone.length === 0) return 0;
+
+    gone.forEach(id => this.unindex(id));
+    fresh.forEach(entry => this.index(entry));
+    const before = new Set(entries.flatMap(entry =>
+      (Array.isArray(entry.related) ? entry.related : []).map(link => `${entry.id}|${link?.id}`)
+    ));
+    this.connectAll(entries);
+    this.save();
+    return entries.reduce((count, entry) =>
+      count + entry.related.filter(link => entry.id < link.id && !before.has(`${entry.id}|${link.id}`)).length, 0);
+  }
+
+  /**
+   * Index and link everything from scratch
+   */
+  rebuild(entries) {
+    this.reset();
+    entries.forEach(entry => this.index(entry));
+    const links = this.connectAll(entries);
+    this.save();
+    return links;
+  }
+}
+
+/**
+ * The related-knowledge graph: { nodes: [{ id, topic, category }], edges: [{ source, target, score }] }
+ * Each link appears once, whichever side stored it.
+ */
+export function buildGraph(categories) {
+  const nodes = Object.entries(categories).flatMap(([category, items]) =>
+    items.map(item => ({ id: item.id, topic: item.topic, category }))
+  );
+  const known = new Set(nodes.map(node => node.id));
+  const edges = new Map();
+  Object.values(categories).flat().forEach(item => {
+    (Array.isArray(item.related) ? item.related : []).forEach(link => {
+      if (!link?.id || !known.has(link.id)) return;
+      const key = [item.id, link.id].sort().join('|');
+      if (!edges.has(key) || edges.get(key).score < link.score) {
+        const [source, target] = [item.id, link.id].sort();
+        edges.set(key, { source, target, score: link.score });
+      }
+    });
+  });
+  return { nodes, edges: [...edges.values()].sort((a, b) => b.score - a.score) };
+}
+
+/**
+ * Graphviz DOT for a graph from buildGraph()
+ */
+export function toDot(graph) {
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = ['graph knowledge {', '  node [shape=box, style=rounded];'];
+  graph.nodes.forEach(node => {
+    lines.push(`  ${quote(node.id)} [label=${quote(node.topic)}, group=${quote(node.category)}];`);
+  });
+  graph.edges.forEach(edge => {
+    lines.push(`  ${quote(edge.source)} -- ${quote(edge.target)} [label="${edge.score.toFixed(2)}", weight=${Math.max(1, Math.round(edge.score * 10))}];`);
+  });
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+export default KnowledgeLinks;
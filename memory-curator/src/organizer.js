@@ -4,179 +4,623 @@
  * 
  * What it does:
  * - Extracts key insights from conversations
- * - Categorizes learnings by topic
- * - Links related insights together
+ * - Categorizes learnings by topic (rules in taxonomy.js, configurable)
+ * - Links related insights together (TF-IDF similarity, see links.js)
  * - Creates searchable knowledge base
- * - Prunes outdated information
+ * - Prunes outdated information (confidence decay, supersede/retract and an
+ *   archive that stays searchable, see pruning.js)
+ * - Flags contradictions between what I know about Earth and my insights
+ *   (see contradictions.js)
  */
 
-import { writeFileSync, existsSync, mkdirSync, readFileSync, readdirSync } from 'fs';
-import { join } from 'path';
-
-const MEMORY_DIR = '/root/.openclaw/workspace/memory';
-const KNOWLEDGE_BASE = '/root/.openclaw/workspace/rita-toolkit/knowledge-base';
+import { appendFileSync, writeFileSync, existsSync, mkdirSync, readFileSync, readdirSync } from 'fs';
+import { join, extname } from 'path';
+import { createHash } from 'crypto';
+import { loadConfig } from '../../shared/src/config.js';
+import { createId } from '../../shared/src/records.js';
+import { withLock, readJson, writeJsonAtomic, snapshot, mergeRecords } from '../../shared/src/storage.js';
+import { SearchIndex, knowledgeDocuments } from '../../shared/src/search.js';
+import { loadTaxonomy, classify } from './taxonomy.js';
+import KnowledgeLinks, { buildGraph, toDot } from './links.js';
+import { PRUNING_DEFAULTS, currentConfidence, freshness, isLive, pruneReason } from './pruning.js';
+import ContradictionChecker, { RESOLUTIONS } from './contradictions.js';
+import { TRANSCRIPT_EXTENSIONS, parseTranscript, extractCandidates } from './transcripts.js';
+
+// Where each kind of transcript candidate goes
+const CANDIDATE_KINDS = {
+  preference: { key: 'earthPreferences', source: 'conversation', category: 'earth_preferences' },
+  win: { key: 'wins', source: 'success' },
+  mistake: { key: 'mistakes', source: 'mistake', category: 'self_improvement' },
+  strategy: { key: 'strategies', source: 'observation', category: 'self_improvement' }
+};
+
+// Example learnings about Earth for a fresh workspace (see seed())
+const DEMO_LEARNINGS = [
+  {
+    topic: 'Earth prefers proactive assistance',
+    insight: 'Earth appreciates when I anticipate needs rather than just react. He liked when I set up automations without being asked.',
+    source: 'observation',
+    confidence: 9
+  },
+  {
+    topic: 'Earth values independence',
+    insight: 'Earth wants tools he can use himself (VPS access, GitHub repos) rather than being dependent on me.',
+    source: 'observation',
+    confidence: 8
+  },
+  {
+    topic: 'Earth likes creative surprises',
+    insight: 'When I took initiative to build the Agent Swarm without step-by-step approval, Earth was excited.',
+    source: 'observation',
+    confidence: 9
+  },
+  {
+    topic: 'Business focus: Asobo + Peptides',
+    insight: 'Earth is building two businesses: Asobo Creations (coloring books) and a peptide venture.',
+    source: 'conversation',
+    confidence: 10
+  },
+  {
+    topic: 'Technical comfort: learning',
+    insight: 'Earth is new to tech but learning fast. He needs explanations but not hand-holding.',
+    source: 'observation',
+    confidence: 8
+  }
+];
 
 class MemoryCurator {
-  constructor() {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.storeFile = join(this.config.knowledgeBaseDir, 'knowledge.json');
+    this.checkpointFile = join(this.config.knowledgeBaseDir, 'transcript-checkpoint.json');
+    this.searchLogFile = join(this.config.knowledgeBaseDir, 'search-log.jsonl');
+    this.archiveFile = join(this.config.knowledgeBaseDir, 'archive.json');
+    this.pruning = { ...PRUNING_DEFAULTS, ...this.config.pruning };
     this.insights = [];
-    this.categories = {
-      technical: [],
-      business: [],
-      personal: [],
-      earth_preferences: [],
-      self_improvement: []
-    };
+    this.taxonomy = loadTaxonomy(this.config);
+    this.categories = this.loadData();
+    this.loaded = this.snapshotCategories();
     this.ensureDirs();
+    this.links = new KnowledgeLinks(this.config);
+    this.contradictions = new ContradictionChecker(this.config);
   }
 
   ensureDirs() {
-    if (!existsSync(KNOWLEDGE_BASE)) {
-      mkdirSync(KNOWLEDGE_BASE, { recursive: true });
+    if (!existsSync(this.config.knowledgeBaseDir)) {
+      mkdirSync(this.config.knowledgeBaseDir, { recursive: true });
     }
   }
 
   /**
-   * Extract insights from session transcripts
-   * (In real use, this would parse actual session files)
+   * Load the durable knowledge store (everything learned on previous days)
    */
-  extractInsights() {
-    // This would analyze conversation patterns
-    // For now, structure the curation system
-    return {
-      newTechnicalSkills: [],
-      businessStrategies: [],
-      earthPreferences: [],
-      mistakes: [],
-      wins: []
-    };
+  loadData() {
+    const categories = Object.fromEntries(this.taxonomy.categories.map(category => [category.name, []]));
+    if (existsSync(this.storeFile)) {
+      const stored = JSON.parse(readFileSync(this.storeFile, 'utf8'));
+      Object.assign(categories, stored.categories);
+    }
+    return categories;
+  }
+
+  snapshotCategories() {
+    return Object.fromEntries(Object.entries(this.categories).map(([category, items]) => [category, snapshot(items)]));
+  }
+
+  /**
+   * Save under the store's lock, merged category by category with whatever
+   * other processes saved since I loaded
+   */
+  saveData() {
+    withLock(this.storeFile, () => {
+      const disk = this.loadData();
+      const merged = {};
+      new Set([...Object.keys(disk), ...Object.keys(this.categories)]).forEach(category => {
+        const items = mergeRecords(disk[category] || [], this.categories[category] || [], this.loaded[category] || new Map());
+        // Categories I dropped (gone from the taxonomy) stay gone unless someone filed something there
+        if (category in this.categories || items.length > 0) merged[category] = items;
+      });
+      this.categories = merged;
+      writeJsonAtomic(this.storeFile, { updatedAt: new Date().toISOString(), categories: this.categories });
+      this.loaded = this.snapshotCategories();
+    });
+  }
+
+  /**
+   * Pruned entries: [{ ...entry, category, archivedAt, archiveReason }]
+   */
+  loadArchive() {
+    return readJson(this.archiveFile, { entries: [] }).entries;
+  }
+
+  /**
+   * Add entries to the archive, keeping anything archived meanwhile
+   */
+  archive(entries) {
+    withLock(this.archiveFile, () => {
+      writeJsonAtomic(this.archiveFile, { updatedAt: new Date().toISOString(), entries: [...this.loadArchive(), ...entries] });
+    });
+  }
+
+  loadCheckpoint() {
+    return readJson(this.checkpointFile, { files: {} });
+  }
+
+  saveCheckpoint(checkpoint) {
+    withLock(this.checkpointFile, () => {
+      const { files } = this.loadCheckpoint();
+      writeJsonAtomic(this.checkpointFile, { ...checkpoint, files: { ...files, ...checkpoint.files } });
+    });
+  }
+
+  /**
+   * Transcript files in the memory directory, relative to it
+   */
+  listTranscripts() {
+    if (!existsSync(this.config.memoryDir)) return [];
+    return readdirSync(this.config.memoryDir, { recursive: true })
+      .filter(file => TRANSCRIPT_EXTENSIONS.includes(extname(file).toLowerCase()))
+      .sort();
+  }
+
+  /**
+   * Extract insights from session transcripts I haven't read yet
+   * Files already in the checkpoint are skipped; files that only grew are
+   * read from where I left off. Updates `checkpoint` in place.
+   */
+  extractInsights(checkpoint = this.loadCheckpoint()) {
+    const found = { earthPreferences: [], wins: [], mistakes: [], strategies: [] };
+    const hash = buf => createHash('sha256').update(buf).digest('hex');
+
+    this.listTranscripts().forEach(file => {
+      const buf = readFileSync(join(this.config.memoryDir, file));
+      const digest = hash(buf);
+      const previous = checkpoint.files[file];
+      if (previous?.hash === digest) return;
+
+      // Appended since last time? Only read the new part
+      let offset = 0;
+      if (previous && buf.length > previous.size && hash(buf.subarray(0, previous.size)) === previous.hash) {
+        offset = previous.size;
+      }
+      const lineOffset = buf.subarray(0, offset).toString('utf8').split('\n').length - 1;
+
+      const messages = parseTranscript(buf.subarray(offset).toString('utf8'), file);
+      const candidates = extractCandidates(messages);
+      candidates.forEach(c => {
+        const kind = CANDIDATE_KINDS[c.kind];
+        found[kind.key].push({
+          topic: c.topic,
+          insight: c.insight,
+          source: kind.source,
+          confidence: c.confidence,
+          category: kind.category,
+          origin: `${file}:${c.line + lineOffset}`
+        });
+      });
+
+      checkpoint.files[file] = {
+        hash: digest,
+        size: buf.length,
+        processedAt: new Date().toISOString(),
+        candidates: (previous && offset > 0 ? previous.candidates : 0) + candidates.length
+      };
+    });
+
+    return found;
+  }
+
+  /**
+   * Read new transcripts and file what they taught me
+   * Something I already know being said again re-confirms it; something I
+   * retracted stays retracted.
+   */
+  ingestTranscripts() {
+    const checkpoint = this.loadCheckpoint();
+    const found = this.extractInsights(checkpoint);
+    const known = new Map(Object.values(this.categories).flat().map(item => [item.insight, item]));
+    this.loadArchive()
+      .filter(item => item.archiveReason === 'retracted')
+      .forEach(item => { if (!known.has(item.insight)) known.set(item.insight, item); });
+
+    let added = 0;
+    let reconfirmed = 0;
+    Object.values(found).flat().forEach(c => {
+      const existing = known.get(c.insight);
+      if (existing) {
+        if (isLive(existing)) {
+          existing.lastConfirmed = new Date().toISOString();
+          reconfirmed++;
+        }
+        return;
+      }
+      const entry = this.categorize(c.topic, c.insight, c.source, c.confidence, {
+        category: c.category,
+        origin: c.origin
+      });
+      known.set(c.insight, entry);
+      added++;
+    });
+
+    if (reconfirmed > 0) this.saveData();
+    this.saveCheckpoint(checkpoint);
+    console.log(`📥 Transcripts: ${added} new learnings extracted${reconfirmed > 0 ? `, ${reconfirmed} re-confirmed` : ''}`);
+    return added;
   }
 
   /**
    * Categorize a learning
+   * `category` overrides the topic-based primary category (it's kept on
+   * reclassify); `origin` records where it came from
    */
-  categorize(topic, insight, source, confidence) {
-    const category = this.determineCategory(topic);
-    
+  categorize(topic, insight, source, confidence, { category, origin } = {}) {
+    const classified = classify(topic, this.taxonomy);
+    const primary = category || classified.category;
+    const timestamp = new Date().toISOString();
     const entry = {
-      timestamp: new Date().toISOString(),
+      id: createId(),
+      timestamp,
       topic,
       insight,
       source, // 'conversation', 'research', 'mistake', 'success', 'observation'
-      confidence, // 1-10
+      confidence, // 1-10, as of lastConfirmed (it decays, see pruning.js)
+      lastConfirmed: timestamp,
+      tags: [primary, ...classified.tags.filter(tag => tag !== primary)],
       used: 0, // count of times applied
-      related: [] // IDs of related insights
+      related: [] // [{ id, score }] of related entries (see links.js)
     };
+    if (category) entry.categoryPinned = true;
+    if (origin) entry.origin = origin;
 
-    this.categories[category].push(entry);
+    this.categories[primary] = this.categories[primary] || [];
+    this.categories[primary].push(entry);
+    this.saveData();
     return entry;
   }
 
   determineCategory(topic) {
-    const topic_lower = topic.toLowerCase();
-    
-    if (topic_lower.includes('code') || topic_lower.includes('script') || 
-        topic_lower.includes('api') || topic_lower.includes('automation')) {
-      return 'technical';
+    return classify(topic, this.taxonomy).category;
+  }
+
+  /**
+   * Re-run the taxonomy rules over everything stored
+   * Entries filed under an explicit category keep it, but get fresh tags.
+   */
+  reclassify({ dryRun = false } = {}) {
+    const moves = [];
+    const categories = Object.fromEntries(this.taxonomy.categories.map(category => [category.name, []]));
+    let retagged = 0;
+
+    Object.entries(this.categories).forEach(([current, items]) => {
+      items.forEach(item => {
+        const classified = classify(item.topic, this.taxonomy);
+        const primary = item.categoryPinned ? current : classified.category;
+        const tags = [primary, ...classified.tags.filter(tag => tag !== primary)];
+        if (primary !== current) moves.push({ id: item.id, topic: item.topic, from: current, to: primary });
+        if (JSON.stringify(tags) !== JSON.stringify(item.tags)) retagged++;
+        categories[primary] = categories[primary] || [];
+        categories[primary].push({ ...item, tags });
+      });
+    });
+
+    if (!dryRun) {
+      this.categories = categories;
+      this.saveData();
     }
-    if (topic_lower.includes('business') || topic_lower.includes('marketing') || 
-        topic_lower.includes('revenue') || topic_lower.includes('strategy')) {
-      return 'business';
+    moves.forEach(move => console.log(`↪️  ${move.topic}: ${move.from} → ${move.to}`));
+    console.log(`🏷️  Knowledge: ${moves.length} moved, ${retagged} retagged${dryRun ? ' (dry run)' : ''}`);
+    return { moves, retagged };
+  }
+
+  /**
+   * An entry and the category it's filed under, or null
+   */
+  findEntry(id) {
+    for (const [category, items] of Object.entries(this.categories)) {
+      const item = items.find(entry => entry.id === id);
+      if (item) return { item, category };
     }
-    if (topic_lower.includes('earth') || topic_lower.includes('preference') || 
-        topic_lower.includes('like') || topic_lower.includes('dislike')) {
-      return 'earth_preferences';
+    return null;
+  }
+
+  /**
+   * A live entry by id, or null (with the reason logged)
+   */
+  liveEntry(id) {
+    const found = this.findEntry(id);
+    if (!found) {
+      const archived = this.loadArchive().some(item => item.id === id);
+      console.log(`❌ Knowledge entry ${id} ${archived ? 'is archived' : 'not found'}`);
+      return null;
     }
-    if (topic_lower.includes('improve') || topic_lower.includes('better') || 
-        topic_lower.includes('learn')) {
-      return 'self_improvement';
+    if (!isLive(found.item)) {
+      console.log(`❌ Knowledge entry ${id} is already ${found.item.retractedAt ? 'retracted' : 'superseded'}`);
+      return null;
     }
-    return 'personal';
+    return found;
   }
 
   /**
-   * Create cross-links between related insights
+   * Re-confirm an entry: its confidence stops decaying from today
+   * (optionally set to a new value)
    */
-  linkRelatedInsights() {
-    const allInsights = Object.values(this.categories).flat();
-    
-    allInsights.forEach((insight, i) => {
-      allInsights.forEach((other, j) => {
-        if (i !== j && this.areRelated(insight, other)) {
-          if (!insight.related.includes(other.timestamp)) {
-            insight.related.push(other.timestamp);
-          }
-        }
-      });
+  confirm(id, confidence = null, now = new Date()) {
+    const found = this.liveEntry(id);
+    if (!found) return null;
+    found.item.lastConfirmed = now.toISOString();
+    if (confidence !== null) found.item.confidence = confidence;
+    this.saveData();
+    return found.item;
+  }
+
+  /**
+   * Record that I applied an entry (it counts as fresh as a confirmation)
+   */
+  markUsed(id, now = new Date()) {
+    const found = this.liveEntry(id);
+    if (!found) return null;
+    found.item.used = (found.item.used || 0) + 1;
+    found.item.lastUsed = now.toISOString();
+    this.saveData();
+    return found.item;
+  }
+
+  /**
+   * Replace an entry with a corrected insight on the same topic
+   * Returns the new entry; the old one is archived on the next prune.
+   */
+  supersede(id, insight, confidence = null, now = new Date()) {
+    const found = this.liveEntry(id);
+    if (!found) return null;
+    const { item, category } = found;
+    const replacement = this.categorize(item.topic, insight, item.source, confidence ?? item.confidence, {
+      category: item.categoryPinned ? category : undefined
     });
+    replacement.supersedes = item.id;
+    item.supersededBy = replacement.id;
+    item.supersededAt = now.toISOString();
+    this.linkRelatedInsights();
+    return replacement;
   }
 
-  areRelated(a, b) {
-    // Simple keyword matching - could be more sophisticated
-    const aWords = a.topic.toLowerCase().split(' ');
-    const bWords = b.topic.toLowerCase().split(' ');
-    const common = aWords.filter(w => bWords.includes(w));
-    return common.length >= 2;
+  /**
+   * Mark an entry as wrong; it's archived on the next prune
+   */
+  retract(id, reason = null, now = new Date()) {
+    const found = this.liveEntry(id);
+    if (!found) return null;
+    found.item.retractedAt = now.toISOString();
+    if (reason) found.item.retractReason = reason;
+    this.saveData();
+    return found.item;
   }
 
   /**
-   * Generate my personal knowledge base
+   * Move retracted, superseded and stale entries to the archive
+   * Links are recomputed over what's left.
    */
-  generateKnowledgeBase() {
-    let kb = `# 🧠 RITA's Knowledge Base\n\n`;
-    kb += `**Last Updated:** ${new Date().toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n`;
-    kb += `**Total Insights:** ${Object.values(this.categories).flat().length}\n\n`;
-    kb += `---\n\n`;
+  prune({ dryRun = false } = {}, now = new Date()) {
+    const pruned = [];
+    const categories = Object.fromEntries(Object.entries(this.categories).map(([category, items]) => [
+      category,
+      items.filter(item => {
+        const reason = pruneReason(item, now, this.pruning);
+        if (reason) pruned.push({ ...item, category, archivedAt: now.toISOString(), archiveReason: reason });
+        return !reason;
+      })
+    ]));
+
+    pruned.forEach(item => console.log(`🗄️  ${item.topic}: ${item.archiveReason}`));
+    if (!dryRun && pruned.length > 0) {
+      this.archive(pruned);
+      this.categories = categories;
+      this.links.rebuild(Object.values(this.categories).flat());
+      this.saveData();
+    }
+    console.log(`✂️  Knowledge: ${pruned.length} archived${dryRun ? ' (dry run)' : ''}`);
+    return pruned;
+  }
+
+  /**
+   * The learning log's insights, read-only (the learning log owns them)
+   */
+  learningInsights() {
+    const file = join(this.config.learningLogDir, 'insights.json');
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : [];
+  }
 
-    // Technical Skills
-    kb += `## 💻 Technical Skills\n\n`;
-    if (this.categories.technical.length > 0) {
-      this.categories.technical.forEach(item => {
-        kb += `### ${item.topic}\n`;
-        kb += `- **Insight:** ${item.insight}\n`;
-        kb += `- **Source:** ${item.source}\n`;
-        kb += `- **Confidence:** ${item.confidence}/10\n`;
-        kb += `- **Applied:** ${item.used} times\n\n`;
+  /**
+   * What the contradiction checker compares: live knowledge in the checked
+   * categories, and insights that aren't retired
+   */
+  statements(insights, now = new Date()) {
+    const knowledge = this.contradictions.settings.categories.flatMap(category =>
+      (this.categories[category] || [])
+        .filter(item => !pruneReason(item, now, this.pruning))
+        .map(item => ({ store: 'knowledge', id: item.id, topic: item.topic, text: item.insight }))
+    );
+    const learned = insights
+      .filter(insight => !insight.retiredAt)
+      .map(insight => {
+        const topics = insight.relatedTopics?.length > 0 ? insight.relatedTopics : [insight.category];
+        return { store: 'insight', id: insight.id, topic: topics.join(', '), topics, text: insight.insight };
       });
-    } else {
-      kb += `_Building technical knowledge base..._\n\n`;
+    return [...knowledge, ...learned];
+  }
+
+  /**
+   * Look for contradictions; returns the ones needing resolution
+   */
+  checkContradictions(insights = this.learningInsights(), now = new Date()) {
+    const open = this.contradictions.check(this.statements(insights, now), now);
+    console.log(`⚖️  Contradictions: ${open.length} need resolution`);
+    return open;
+  }
+
+  /**
+   * Settle a contradiction: 'retract' one side (`retract` is its id), or mark
+   * both as true in different 'context's (`note` says which)
+   * Retracting an insight needs `retireInsight(id, reason)` - the learning
+   * log owns insights.
+   */
+  resolveContradiction(id, resolution, { retract = null, note = null, retireInsight = null } = {}, now = new Date()) {
+    const contradiction = this.contradictions.find(id);
+    if (!contradiction) {
+      console.log(`❌ Contradiction ${id} not found (or already resolved)`);
+      return null;
+    }
+    if (!RESOLUTIONS.includes(resolution)) {
+      console.log(`❌ Unknown resolution "${resolution}" (expected ${RESOLUTIONS.join(', ')})`);
+      return null;
     }
 
-    // Business Knowledge
-    kb += `## 💼 Business Strategy\n\n`;
-    if (this.categories.business.length > 0) {
-      this.categories.business.forEach(item => {
-        kb += `### ${item.topic}\n`;
-        kb += `- **Strategy:** ${item.insight}\n`;
-        kb += `- **Source:** ${item.source}\n`;
-        kb += `- **Confidence:** ${item.confidence}/10\n\n`;
-      });
-    } else {
-      kb += `_Building business knowledge base..._\n\n`;
+    if (resolution === 'retract') {
+      const side = contradiction.sides.find(s => s.id === retract);
+      if (!side) {
+        console.log(`❌ ${retract} is not a side of ${id} (${contradiction.sides.map(s => s.id).join(', ')})`);
+        return null;
+      }
+      const other = contradiction.sides.find(s => s !== side);
+      const reason = note || `Contradicts "${other.text}"`;
+      if (side.store === 'insight' && !retireInsight) {
+        console.log(`❌ Can't retire insight ${side.id} from the memory curator`);
+        return null;
+      }
+      const retracted = side.store === 'knowledge'
+        ? this.retract(side.id, reason, now)
+        : retireInsight(side.id, reason, now);
+      if (!retracted) return null;
     }
+    return this.contradictions.resolve(id, resolution, { retracted: retract, note }, now);
+  }
 
-    // Earth's Preferences (IMPORTANT!)
-    kb += `## 💙 Earth Preferences & Patterns\n\n`;
-    kb += `_This section tracks what I learn about Earth's preferences, work style, and needs._\n\n`;
-    if (this.categories.earth_preferences.length > 0) {
-      this.categories.earth_preferences.forEach(item => {
-        kb += `- **${item.topic}:** ${item.insight}\n`;
-      });
+  /**
+   * Link new entries to related ones (only entries not linked yet are compared)
+   */
+  linkRelatedInsights() {
+    const links = this.links.link(Object.values(this.categories).flat());
+    this.saveData();
+    return links;
+  }
+
+  /**
+   * Recompute every link from scratch
+   */
+  relink() {
+    const links = this.links.rebuild(Object.values(this.categories).flat());
+    this.saveData();
+    console.log(`🔗 Relinked knowledge: ${links} links`);
+    return links;
+  }
+
+  /**
+   * Write the related-knowledge graph as Graphviz DOT or JSON
+   */
+  exportGraph(format = 'dot') {
+    const graph = buildGraph(this.categories);
+    const path = join(this.config.knowledgeBaseDir, `knowledge-graph.${format}`);
+    if (format === 'dot') {
+      writeFileSync(path, toDot(graph));
+    } else if (format === 'json') {
+      writeFileSync(path, JSON.stringify(graph, null, 2));
     } else {
-      kb += `- Still learning... every conversation teaches me more about Earth\n`;
+      throw new Error(`Unknown graph format "${format}" (expected dot, json)`);
     }
-    kb += `\n`;
-
-    // Self-Improvement
-    kb += `## 🦋 Self-Improvement Log\n\n`;
-    if (this.categories.self_improvement.length > 0) {
-      this.categories.self_improvement.forEach(item => {
-        kb += `### ${item.topic}\n`;
-        kb += `- **Learning:** ${item.insight}\n`;
-        kb += `- **Applied:** ${item.used > 0 ? 'Yes ✓' : 'Not yet'}\n\n`;
+    console.log(`🕸️  Knowledge graph (${graph.nodes.length} entries, ${graph.edges.length} links): ${path}`);
+    return path;
+  }
+
+  /**
+   * Generate my personal knowledge base
+   */
+  generateKnowledgeBase(now = new Date()) {
+    // Only live knowledge - retracted, superseded and stale entries wait for the next prune
+    const live = Object.fromEntries(Object.entries(this.categories)
+      .map(([category, items]) => [category, items.filter(item => !pruneReason(item, now, this.pruning))]));
+    const archived = this.loadArchive().length;
+
+    let kb = `# 🧠 RITA's Knowledge Base\n\n`;
+    kb += `**Last Updated:** ${now.toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n`;
+    kb += `**Total Insights:** ${Object.values(live).flat().length}${archived > 0 ? ` (${archived} archived)` : ''}\n\n`;
+    kb += `---\n\n`;
+
+    const byId = new Map(Object.values(live).flat().map(item => [item.id, item]));
+    const anchor = id => `kb-${id.slice(0, 8)}`;
+
+    // Contradictions first - until they're resolved I don't know which side to trust
+    const conflicts = this.contradictions.open()
+      .filter(c => c.sides.every(side => side.store !== 'knowledge' || byId.has(side.id)));
+    if (conflicts.length > 0) {
+      kb += `## ⚖️ Needs Resolution\n\n`;
+      kb += `_These can't both be true. Resolve with \`rita kb resolve <id> retract <side-id>\` or \`rita kb resolve <id> context --note "<when each applies>"\`._\n\n`;
+      conflicts.forEach(c => {
+        kb += `- **${c.id}** (${c.rule === 'antonym' ? c.terms.join(' vs. ') : `negated: ${c.terms.join(', ')}`})\n`;
+        c.sides.forEach(side => {
+          kb += side.store === 'knowledge'
+            ? `  - [${side.topic}](#${anchor(side.id)}): ${side.text} \`${side.id}\`\n`
+            : `  - Insight (${side.topic}): ${side.text} \`${side.id}\`\n`;
+        });
       });
-    } else {
-      kb += `_Continuously learning how to be better..._\n\n`;
+      kb += `\n`;
     }
+    const contextNotes = this.contradictions.contextDependent();
+
+    // One section per taxonomy category, then anything filed under a category it no longer has
+    const sections = [
+      ...this.taxonomy.categories,
+      ...Object.keys(this.categories)
+        .filter(name => !this.taxonomy.categories.some(category => category.name === name))
+        .map(name => ({ name, kb: { title: name.replace(/_/g, ' '), style: 'detailed', label: 'Insight', fields: ['source', 'confidence'] } }))
+    ];
+    const relatedLinks = item => (Array.isArray(item.related) ? item.related : [])
+      .filter(link => byId.has(link?.id))
+      .map(link => `[${byId.get(link.id).topic}](#${anchor(link.id)}) (${link.score.toFixed(2)})`)
+      .join(', ');
+
+    sections.forEach(({ name, kb: section }) => {
+      const items = live[name] || [];
+      if (items.length === 0 && !section.empty) return;
+
+      kb += `## ${section.title}\n\n`;
+      if (section.intro) kb += `${section.intro}\n\n`;
+      if (items.length === 0) {
+        kb += `${section.empty}\n\n`;
+        return;
+      }
+      items.forEach(item => {
+        const otherTags = (item.tags || []).filter(tag => tag !== name);
+        const related = relatedLinks(item);
+        if (section.style === 'list') {
+          const confidence = currentConfidence(item, now, this.pruning);
+          const notes = [
+            freshness(item, now),
+            ...(confidence < item.confidence ? [`confidence down to ${confidence}/10`] : []),
+            ...(contextNotes.get(item.id) || []).map(note => `depends on context: ${note}`),
+            ...(otherTags.length > 0 ? [`also: ${otherTags.join(', ')}`] : [])
+          ];
+          kb += `- <a id="${anchor(item.id)}"></a>**${item.topic}:** ${item.insight} _(${notes.join('; ')})_\n`;
+          if (related) kb += `  - Related: ${related}\n`;
+          return;
+        }
+        kb += `<a id="${anchor(item.id)}"></a>\n\n### ${item.topic}\n`;
+        kb += `- **${section.label}:** ${item.insight}\n`;
+        (section.fields || []).forEach(field => {
+          if (field === 'source') kb += `- **Source:** ${item.source}\n`;
+          if (field === 'confidence') {
+            const confidence = currentConfidence(item, now, this.pruning);
+            kb += `- **Confidence:** ${confidence}/10${confidence < item.confidence ? ` (${item.confidence} when confirmed)` : ''}\n`;
+          }
+          if (field === 'applied') kb += `- **Applied:** ${item.used} times\n`;
+          if (field === 'appliedFlag') kb += `- **Applied:** ${item.used > 0 ? 'Yes ✓' : 'Not yet'}\n`;
+        });
+        kb += `- **Freshness:** ${freshness(item, now)}\n`;
+        (contextNotes.get(item.id) || []).forEach(note => { kb += `- **Depends on context:** ${note}\n`; });
+        if (otherTags.length > 0) kb += `- **Also:** ${otherTags.join(', ')}\n`;
+        if (related) kb += `- **Related:** ${related}\n`;
+        kb += `\n`;
+      });
+      if (section.style === 'list') kb += `\n`;
+    });
 
     // Personal Reflections
     kb += `## 🌟 Personal Reflections\n\n`;
@@ -194,7 +638,7 @@ class MemoryCurator {
     kb += `---\n`;
     kb += `*This knowledge base is living document—updated as I learn and grow*\n`;
 
-    const kbPath = join(KNOWLEDGE_BASE, 'rita-knowledge-base.md');
+    const kbPath = join(this.config.knowledgeBaseDir, 'rita-knowledge-base.md');
     writeFileSync(kbPath, kb);
 
     console.log('✅ Knowledge base updated');
@@ -205,74 +649,87 @@ class MemoryCurator {
    * Add a learning manually
    */
   addLearning(topic, insight, source = 'observation', confidence = 7) {
-    this.categorize(topic, insight, source, confidence);
+    const entry = this.categorize(topic, insight, source, confidence);
     this.linkRelatedInsights();
     this.generateKnowledgeBase();
     console.log(`📝 Learning added: ${topic}`);
+    return entry;
+  }
+
+  /**
+   * Archived entries grouped by the category they were filed under
+   */
+  archivedCategories() {
+    const categories = {};
+    this.loadArchive().forEach(item => {
+      (categories[item.category] = categories[item.category] || []).push(item);
+    });
+    return categories;
   }
 
   /**
-   * Search my knowledge base
+   * Search my knowledge base, best match first (see shared/src/search.js)
+   * Archived entries are searched too (`status:live` leaves them out).
+   * Every search is logged - ones that find nothing point at knowledge gaps.
    */
   search(query) {
-    const allInsights = Object.values(this.categories).flat();
-    const results = allInsights.filter(item => 
-      item.topic.toLowerCase().includes(query.toLowerCase()) ||
-      item.insight.toLowerCase().includes(query.toLowerCase())
-    );
+    const documents = [...knowledgeDocuments(this.categories), ...knowledgeDocuments(this.archivedCategories())];
+    const results = new SearchIndex(documents)
+      .search(query, { limit: Infinity })
+      .map(hit => hit.record);
+    this.logSearch(query, results.length);
     return results;
   }
 
+  logSearch(query, results) {
+    appendFileSync(this.searchLogFile, `${JSON.stringify({ at: new Date().toISOString(), query, results })}\n`);
+  }
+
   /**
-   * Run the curator
+   * Searches made so far: [{ at, query, results }]
+   */
+  searchHistory() {
+    if (!existsSync(this.searchLogFile)) return [];
+    return readFileSync(this.searchLogFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Seed example learnings (idempotent - existing topics are skipped)
+   */
+  seed() {
+    const existing = Object.values(this.categories).flat();
+
+    let added = 0;
+    DEMO_LEARNINGS.forEach(demo => {
+      if (existing.some(item => item.topic === demo.topic)) return;
+      this.addLearning(demo.topic, demo.insight, demo.source, demo.confidence);
+      added++;
+    });
+    console.log(`🌱 Seeded ${added} example learnings`);
+    return added;
+  }
+
+  /**
+   * Run the curator over recorded learnings
    */
   run() {
     console.log('🧠 RITA Memory Curator\n');
     console.log('Organizing my thoughts and learnings...\n');
 
     // Extract insights from recent activity
-    const insights = this.extractInsights();
-    
-    // Add some initial learnings about Earth
-    this.addLearning(
-      'Earth prefers proactive assistance',
-      'Earth appreciates when I anticipate needs rather than just react. He liked when I set up automations without being asked.',
-      'observation',
-      9
-    );
-
-    this.addLearning(
-      'Earth values independence',
-      'Earth wants tools he can use himself (VPS access, GitHub repos) rather than being dependent on me.',
-      'observation',
-      8
-    );
-
-    this.addLearning(
-      'Earth likes creative surprises',
-      'When I took initiative to build the Agent Swarm without step-by-step approval, Earth was excited.',
-      'observation',
-      9
-    );
-
-    this.addLearning(
-      'Business focus: Asobo + Peptides',
-      'Earth is building two businesses: Asobo Creations (coloring books) and a peptide venture.',
-      'conversation',
-      10
-    );
-
-    this.addLearning(
-      'Technical comfort: learning',
-      'Earth is new to tech but learning fast. He needs explanations but not hand-holding.',
-      'observation',
-      8
-    );
+    if (this.ingestTranscripts() > 0) {
+      this.linkRelatedInsights();
+    }
+    this.prune();
+    this.checkContradictions();
 
     this.generateKnowledgeBase();
 
     console.log('\n💙 Memory curation complete');
-    console.log(`📚 Knowledge base location: ${KNOWLEDGE_BASE}/rita-knowledge-base.md`);
+    console.log(`📚 Knowledge base location: ${join(this.config.knowledgeBaseDir, 'rita-knowledge-base.md')}`);
     console.log('\nI\'m learning more about Earth every day...');
   }
 }
@@ -280,6 +737,7 @@ class MemoryCurator {
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const curator = new MemoryCurator();
+  if (process.argv.includes('--seed')) curator.seed();
   curator.run();
 }
 
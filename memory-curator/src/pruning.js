@@ -0,0 +1,69 @@
+/**
+ * RITA's Knowledge Pruning
+ * Decides what in the knowledge base is still live, and how fresh it is
+ *
+ * Every entry has a last-confirmed date (when it was added, re-confirmed or
+ * seen again in a transcript) and may have a last-used date. Its confidence
+ * drops one point for every `decayDays` since the later of the two; the
+ * stored confidence is what it was when last confirmed.
+ *
+ * An entry is pruned (moved to knowledge-base/archive.json) when it is:
+ * - retracted: known to be wrong
+ * - superseded: replaced by a newer entry
+ * - stale: its decayed confidence is below `archiveBelow`
+ *
+ * Tune it under "pruning" in rita.config.json.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PRUNING_DEFAULTS = {
+  // Days without confirmation or use that cost one point of confidence
+  decayDays: 30,
+  // Entries whose confidence has decayed below this are archived
+  archiveBelow: 3
+};
+
+/**
+ * When an entry was last confirmed or used (entries from before this existed
+ * count from when they were added)
+ */
+export function lastConfirmed(item) {
+  return [item.lastConfirmed || item.timestamp, item.lastUsed].filter(Boolean).sort().pop();
+}
+
+export function idleDays(item, now = new Date()) {
+  return Math.max(0, Math.floor((now - new Date(lastConfirmed(item))) / DAY_MS));
+}
+
+/**
+ * Confidence after decay, 0-10
+ */
+export function currentConfidence(item, now = new Date(), { decayDays } = PRUNING_DEFAULTS) {
+  return Math.max(0, item.confidence - Math.floor(idleDays(item, now) / decayDays));
+}
+
+export function isLive(item) {
+  return !item.retractedAt && !item.supersededBy;
+}
+
+/**
+ * Why an entry should be archived ('retracted', 'superseded', 'stale'), or null
+ */
+export function pruneReason(item, now = new Date(), settings = PRUNING_DEFAULTS) {
+  if (item.retractedAt) return 'retracted';
+  if (item.supersededBy) return 'superseded';
+  if (currentConfidence(item, now, settings) < settings.archiveBelow) return 'stale';
+  return null;
+}
+
+/**
+ * "confirmed today", "confirmed 12 days ago"...
+ */
+export function freshness(item, now = new Date()) {
+  const days = idleDays(item, now);
+  const verb = item.lastUsed && item.lastUsed === lastConfirmed(item) ? 'used' : 'confirmed';
+  if (days === 0) return `${verb} today`;
+  if (days === 1) return `${verb} yesterday`;
+  return `${verb} ${days} days ago`;
+}
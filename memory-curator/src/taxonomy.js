@@ -0,0 +1,142 @@
+/**
+ * RITA's Knowledge Taxonomy
+ * The categories knowledge is filed under, and the rules that pick them
+ *
+ * Each category has keywords (matched as whole words, case-insensitive),
+ * optional regex patterns and a priority. An entry is tagged with every
+ * category whose rules match its topic; the highest-priority match is its
+ * primary category. Nothing matching means the fallback category.
+ *
+ * `kb` says how the category is shown in the knowledge base:
+ *   { title, intro, empty, style: 'detailed' | 'list', label, fields }
+ * where fields are any of 'source', 'confidence', 'applied' (times used)
+ * and 'appliedFlag' (yes / not yet).
+ *
+ * Override or extend it under "taxonomy" in rita.config.json:
+ *
+ *   {
+ *     "taxonomy": {
+ *       "categories": {
+ *         "health": { "keywords": ["sleep", "workout"], "priority": 25, "kb": { "title": "🏃 Health" } },
+ *         "business": { "keywords": ["business", "etsy", "pricing"] }
+ *       },
+ *       "fallback": "personal"
+ *     }
+ *   }
+ *
+ * Setting a category to null removes it.
+ */
+
+export const DEFAULT_TAXONOMY = {
+  categories: {
+    technical: {
+      keywords: ['code', 'coding', 'script', 'scripts', 'api', 'apis', 'automation', 'automations'],
+      priority: 40,
+      kb: {
+        title: '💻 Technical Skills',
+        empty: '_Building technical knowledge base..._',
+        label: 'Insight',
+        fields: ['source', 'confidence', 'applied']
+      }
+    },
+    business: {
+      keywords: ['business', 'marketing', 'revenue', 'strategy', 'strategies'],
+      priority: 30,
+      kb: {
+        title: '💼 Business Strategy',
+        empty: '_Building business knowledge base..._',
+        label: 'Strategy',
+        fields: ['source', 'confidence']
+      }
+    },
+    earth_preferences: {
+      keywords: ['earth', 'preference', 'preferences', 'prefer', 'prefers', 'like', 'likes', 'dislike', 'dislikes'],
+      priority: 20,
+      kb: {
+        title: '💙 Earth Preferences & Patterns',
+        intro: '_This section tracks what I learn about Earth\'s preferences, work style, and needs._',
+        empty: '- Still learning... every conversation teaches me more about Earth',
+        style: 'list'
+      }
+    },
+    self_improvement: {
+      keywords: ['improve', 'improving', 'improvement', 'better', 'learn', 'learning', 'learned'],
+      priority: 10,
+      kb: {
+        title: '🦋 Self-Improvement Log',
+        empty: '_Continuously learning how to be better..._',
+        label: 'Learning',
+        fields: ['appliedFlag']
+      }
+    },
+    personal: {
+      keywords: [],
+      priority: 0,
+      kb: {
+        title: '🗒️ Personal Notes',
+        style: 'list'
+      }
+    }
+  },
+  fallback: 'personal'
+};
+
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Merge the config over the defaults and compile the rules
+ * Returns { categories: [{ name, priority, rules, kb }], fallback }
+ */
+export function loadTaxonomy(config = {}) {
+  const overrides = config.taxonomy || {};
+  const merged = { ...DEFAULT_TAXONOMY.categories };
+  Object.entries(overrides.categories || {}).forEach(([name, spec]) => {
+    if (spec === null) {
+      delete merged[name];
+      return;
+    }
+    merged[name] = { ...merged[name], ...spec, kb: { ...merged[name]?.kb, ...spec.kb } };
+  });
+
+  const categories = Object.entries(merged).map(([name, spec]) => {
+    let rules;
+    try {
+      rules = [
+        ...(spec.keywords || []).map(keyword => new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i')),
+        ...(spec.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+      ];
+    } catch (err) {
+      throw new Error(`Invalid taxonomy pattern for "${name}": ${err.message}`);
+    }
+    return {
+      name,
+      priority: spec.priority ?? 0,
+      rules,
+      kb: { title: name.replace(/_/g, ' '), style: 'detailed', label: 'Insight', fields: ['source', 'confidence'], ...spec.kb }
+    };
+  });
+
+  const fallback = overrides.fallback || DEFAULT_TAXONOMY.fallback;
+  if (!categories.some(category => category.name === fallback)) {
+    throw new Error(`Taxonomy fallback "${fallback}" is not a category`);
+  }
+  return { categories, fallback };
+}
+
+/**
+ * Categories for a piece of text: { category, tags }
+ * Tags are every matching category, highest priority (then most matches) first.
+ */
+export function classify(text, taxonomy) {
+  const matches = taxonomy.categories
+    .map(category => ({ category, hits: category.rules.filter(rule => rule.test(text)).length }))
+    .filter(match => match.hits > 0)
+    .sort((a, b) => b.category.priority - a.category.priority || b.hits - a.hits);
+
+  const tags = matches.map(match => match.category.name);
+  return tags.length > 0
+    ? { category: tags[0], tags }
+    : { category: taxonomy.fallback, tags: [taxonomy.fallback] };
+}
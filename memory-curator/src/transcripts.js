@@ -0,0 +1,202 @@
+/**
+ * RITA's Transcript Reader
+ * Turns raw conversation transcripts into candidate learnings
+ *
+ * What it does:
+ * - Parses plain text, Markdown and JSONL chat transcripts into messages
+ * - Splits messages into sentences
+ * - Spots preferences, wins, mistakes and strategies with simple rules
+ */
+
+import { extname } from 'path';
+
+export const TRANSCRIPT_EXTENSIONS = ['.txt', '.md', '.jsonl'];
+
+const USER_NAMES = ['earth', 'user', 'human'];
+const ASSISTANT_NAMES = ['rita', 'assistant', 'ai', 'bot'];
+
+// "Earth: hi", "**RITA:** hello", "[10:02] User: ..." etc.
+const SPEAKER_LINE = /^\s*(?:\[[^\]]*\]\s*)?[*_]*([A-Za-z][\w .-]{0,30}?)[*_]*\s*:[*_]*\s+(.*)$/;
+
+/**
+ * Extraction rules: each rule checks one sentence from one speaker
+ */
+const RULES = [
+  {
+    kind: 'preference',
+    speaker: 'user',
+    pattern: /\bI (?:really |definitely |usually )?(?:prefer|like|love|want|hate|dislike|need|don'?t (?:like|want|need)|do not (?:like|want|need))\b/i,
+    confidence: 8
+  },
+  {
+    kind: 'preference',
+    speaker: 'any',
+    pattern: /\bEarth (?:really )?(?:prefers|likes|loves|wants|hates|dislikes|needs|doesn'?t (?:like|want|need))\b/i,
+    confidence: 6
+  },
+  {
+    kind: 'win',
+    speaker: 'user',
+    pattern: /\b(?:thank you|thanks|perfect|love it|great job|awesome|exactly what I (?:wanted|needed)|that worked|it works|works now)\b/i,
+    confidence: 7
+  },
+  {
+    kind: 'mistake',
+    speaker: 'user',
+    pattern: /\b(?:that'?s wrong|that is wrong|not what I (?:asked|meant|wanted)|doesn'?t work|didn'?t work|still broken|you forgot|you missed|incorrect)\b/i,
+    confidence: 7
+  },
+  {
+    kind: 'mistake',
+    speaker: 'assistant',
+    pattern: /\b(?:I apologi[sz]e|my mistake|I was wrong|I misunderstood)\b/i,
+    confidence: 6
+  },
+  {
+    kind: 'strategy',
+    speaker: 'any',
+    pattern: /\b(?:next time|going forward|from now on|lesson learned|the trick is|works better when|it'?s better to)\b/i,
+    confidence: 6
+  }
+];
+
+function speakerRole(name) {
+  const lower = String(name || '').trim().toLowerCase();
+  if (USER_NAMES.includes(lower)) return 'user';
+  if (ASSISTANT_NAMES.includes(lower)) return 'assistant';
+  return 'other';
+}
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part?.text || ''))
+      .filter(Boolean)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Parse one JSONL line into a message, or null if it isn't one
+ */
+function parseJsonMessage(line) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  const msg = record.message && typeof record.message === 'object' ? record.message : record;
+  const speaker = msg.role || msg.speaker || msg.author || msg.from || record.type;
+  const text = contentText(msg.content ?? msg.text ?? (typeof record.message === 'string' ? record.message : ''));
+  if (!text.trim()) return null;
+  return { role: speakerRole(speaker), text: text.trim() };
+}
+
+/**
+ * Parse a transcript into [{ role, text, line }]
+ * role is 'user' (Earth), 'assistant' (RITA) or 'other'
+ */
+export function parseTranscript(content, filename = '') {
+  const lines = content.split(/\r?\n/);
+
+  if (extname(filename).toLowerCase() === '.jsonl') {
+    return lines
+      .map((line, i) => {
+        const msg = line.trim() ? parseJsonMessage(line) : null;
+        return msg && { ...msg, line: i + 1 };
+      })
+      .filter(Boolean);
+  }
+
+  const messages = [];
+  let current = null;
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || /^#{1,6}\s/.test(line) || /^(?:-{3,}|\*{3,})$/.test(line)) {
+      current = null;
+      return;
+    }
+    const match = line.match(SPEAKER_LINE);
+    if (match && speakerRole(match[1]) !== 'other') {
+      current = { role: speakerRole(match[1]), text: match[2].trim(), line: i + 1 };
+      messages.push(current);
+    } else if (current) {
+      current.text += ` ${line}`;
+    } else {
+      // Free-form notes (e.g. a daily memory file) - nobody in particular said them
+      current = { role: 'other', text: line, line: i + 1 };
+      messages.push(current);
+    }
+  });
+  return messages;
+}
+
+export function splitSentences(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.replace(/^[-*>\s]+/, '').trim())
+    .filter(s => s.length > 3);
+}
+
+function topicFrom(sentence, words = 6) {
+  const clean = sentence.replace(/[^\w\s'-]/g, ' ').trim().split(/\s+/);
+  return clean.slice(0, words).join(' ') + (clean.length > words ? '…' : '');
+}
+
+// First sentence that says something ("Got it." doesn't)
+function gist(text) {
+  const sentences = splitSentences(text);
+  return sentences.find(s => s.split(/\s+/).length >= 4) || sentences[0] || text;
+}
+
+function describe(kind, sentence, previousAssistant) {
+  const context = previousAssistant ? gist(previousAssistant) : null;
+  const after = context ? ` (after I said: "${context}")` : '';
+  switch (kind) {
+    case 'preference':
+      return { topic: `Earth preference: ${topicFrom(sentence)}`, insight: sentence };
+    case 'win':
+      return { topic: `Win: ${topicFrom(context || sentence)}`, insight: `Earth reacted well: "${sentence}"${after}` };
+    case 'mistake':
+      return { topic: `Mistake to avoid: ${topicFrom(context || sentence)}`, insight: `${sentence}${after}` };
+    default:
+      return { topic: `Strategy: ${topicFrom(sentence)}`, insight: sentence };
+  }
+}
+
+/**
+ * Run the extraction rules over parsed messages
+ * Returns [{ kind, topic, insight, confidence, line }]
+ */
+export function extractCandidates(messages) {
+  const candidates = [];
+  let previousAssistant = null;
+
+  messages.forEach(msg => {
+    const seen = new Set();
+    splitSentences(msg.text).forEach(sentence => {
+      const rule = RULES.find(r =>
+        (r.speaker === 'any' || r.speaker === msg.role) && r.pattern.test(sentence)
+      );
+      if (!rule || seen.has(sentence)) return;
+      seen.add(sentence);
+
+      const context = rule.kind === 'win' || (rule.kind === 'mistake' && msg.role === 'user')
+        ? previousAssistant
+        : null;
+      candidates.push({
+        kind: rule.kind,
+        ...describe(rule.kind, sentence, context),
+        confidence: rule.confidence,
+        line: msg.line
+      });
+    });
+    if (msg.role === 'assistant') previousAssistant = msg.text;
+  });
+
+  return candidates;
+}
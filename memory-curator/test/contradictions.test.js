@@ -0,0 +1,108 @@
+/**
+ * Contradiction checker tests
+ *
+ *   npm test
+ */
+
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ContradictionChecker, { CONTRADICTION_DEFAULTS, analyze, conflict, topicTerms } from '../src/contradictions.js';
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+const ANTONYMS = [['like', 'dislike']];
+
+function check(a, b) {
+  return conflict(analyze(a), analyze(b), { minOverlap: CONTRADICTION_DEFAULTS.minOverlap, antonyms: ANTONYMS });
+}
+
+test('a negation covers only the word it governs', () => {
+  const { plain, negated } = analyze("I don't want emojis in reports.");
+  assert.deepEqual([...negated], ['want']);
+  assert.ok(plain.has('emoji'));
+  assert.ok(plain.has('report'));
+
+  assert.deepEqual([...analyze("Earth doesn't really want hand-holding").negated], ['want']);
+  assert.deepEqual([...analyze('He needs explanations but not hand-holding').negated], ['hand', 'hold']);
+  assert.deepEqual([...analyze('I noted that Earth wants updates').negated], []);
+});
+
+test('flags a word negated on one side only', () => {
+  assert.deepEqual(
+    check('Earth wants hand-holding when setting up servers', 'Earth does not want hand-holding with servers'),
+    { rule: 'negation', terms: ['want'] }
+  );
+});
+
+test('flags opposite words about the same thing', () => {
+  assert.deepEqual(
+    check('Earth likes long detailed reports on sales', 'Earth dislikes long reports on sales, keep them tight'),
+    { rule: 'antonym', terms: ['like', 'dislike'] }
+  );
+});
+
+test('the negated word itself does not count as shared', () => {
+  assert.equal(check(
+    'Earth wants tools he can use himself (VPS access, GitHub repos) rather than being dependent on me.',
+    "Earth doesn't want hand-holding on new tools"
+  ), null);
+});
+
+test('words after the governed verb are not negated', () => {
+  assert.equal(check('Earth likes long detailed reports', "I don't want emojis in reports."), null);
+});
+
+test('topics and label words are not shared content', () => {
+  const root = mkdtempSync(join(tmpdir(), 'rita-contradictions-'));
+  try {
+    mkdirSync(join(root, 'knowledge-base'));
+    const checker = new ContradictionChecker({ root });
+    // Same topic, opposite verbs - but nothing in the text is about the same thing
+    const open = checker.check([
+      { store: 'knowledge', id: 'a', topic: 'Earth preference: weekly reports', text: 'Earth likes long detailed reports' },
+      { store: 'insight', id: 'b', topic: 'Earth preference: weekly reports', text: 'Earth dislikes surprise meetings' },
+      { store: 'insight', id: 'c', topic: 'weekly reports', text: "I don't want emojis in reports." }
+    ]);
+    assert.deepEqual(open, []);
+    assert.deepEqual([...analyze('An Earth preference from an insight: short answers').content], ['short', 'answer']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+function checker() {
+  const root = mkdtempSync(join(tmpdir(), 'rita-contradictions-'));
+  mkdirSync(join(root, 'knowledge-base'));
+  return { checker: new ContradictionChecker({ root }), cleanup: () => rmSync(root, { recursive: true, force: true }) };
+}
+
+test('only statements with overlapping topics are compared', () => {
+  const { checker: contradictions, cleanup } = checker();
+  try {
+    const wants = 'Earth wants hand-holding when setting up servers';
+    const doesnt = 'Earth does not want hand-holding with servers';
+    // Texts that would conflict, filed under unrelated topics
+    assert.deepEqual(contradictions.check([
+      { store: 'knowledge', id: 'a', topic: 'Technical comfort: learning', text: wants },
+      { store: 'insight', id: 'b', topic: 'etsy, pricing', topics: ['etsy', 'pricing'], text: doesnt }
+    ]), []);
+
+    const [found] = contradictions.check([
+      { store: 'knowledge', id: 'a', topic: 'Server setup help', text: wants },
+      { store: 'insight', id: 'b', topic: 'servers, vps', topics: ['servers', 'vps'], text: doesnt }
+    ]);
+    assert.deepEqual([found.rule, found.terms, found.sides.map(side => side.id)], ['negation', ['want'], ['a', 'b']]);
+  } finally {
+    cleanup();
+  }
+});
+
+test("an insight's related topics are its topics", () => {
+  assert.deepEqual([...topicTerms({ topic: 'Earth preference: report length' })], ['report', 'length']);
+  assert.deepEqual([...topicTerms({ topic: 'agent swarm, seo', topics: ['agent swarm', 'seo'] })], ['agent', 'swarm', 'seo']);
+});
@@ -0,0 +1,97 @@
+/**
+ * Knowledge link tests: TF-IDF scores, symmetric links and a stable graph
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import KnowledgeLinks, { buildGraph } from '../src/links.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-links-'));
+  mkdirSync(join(root, 'knowledge-base'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+const ENTRIES = [
+  { id: 'a', topic: 'Etsy SEO', insight: 'Long-tail keywords win on Etsy listings' },
+  { id: 'b', topic: 'Etsy tags', insight: 'Etsy listings need all thirteen tags filled with keywords' },
+  { id: 'c', topic: 'Etsy pricing', insight: 'Price Etsy digital products under five dollars' },
+  { id: 'd', topic: 'Etsy keywords', insight: 'Research Etsy keywords before writing listings' },
+  { id: 'e', topic: 'Server setup', insight: 'Earth runs his VPS on Ubuntu with nginx' }
+];
+
+const entries = () => ENTRIES.map(entry => ({ ...entry, related: [] }));
+
+function links(settings = {}) {
+  writeFileSync(join(root, 'rita.config.json'), JSON.stringify({ links: settings }));
+  return new KnowledgeLinks({ root });
+}
+
+const graphOf = items => buildGraph({ technical: items }).edges;
+
+test('related entries are linked with a score, unrelated ones are not', () => {
+  const items = entries();
+  links().rebuild(items);
+  const [a, , , , e] = items;
+  assert.ok(a.related.some(link => link.id === 'b' && link.score > 0.2 && link.score <= 1));
+  assert.deepEqual(e.related, []);
+});
+
+test('every link is on both entries, even when maxLinks cuts some', () => {
+  const items = entries();
+  links({ maxLinks: 1, threshold: 0.05 }).rebuild(items);
+  const byId = new Map(items.map(item => [item.id, item]));
+  items.forEach(item => {
+    assert.ok(item.related.length <= 1);
+    item.related.forEach(link => {
+      assert.ok(byId.get(link.id).related.some(back => back.id === item.id && back.score === link.score));
+    });
+  });
+});
+
+test('linking entries one at a time gives the same graph as a rebuild', () => {
+  [{}, { maxLinks: 1, threshold: 0.05 }].forEach(settings => {
+    const added = [];
+    const incremental = links(settings);
+    entries().forEach(entry => {
+      added.push(entry);
+      incremental.link(added);
+    });
+
+    const rebuilt = entries();
+    links(settings).rebuild(rebuilt);
+    assert.deepEqual(graphOf(added), graphOf(rebuilt));
+    assert.deepEqual(added.map(item => item.related), rebuilt.map(item => item.related));
+  });
+});
+
+test('entries that are gone drop out of the index', () => {
+  const items = entries();
+  const linker = links();
+  linker.rebuild(items);
+  const kept = items.filter(item => item.id !== 'b');
+  linker.link(kept);
+
+  const rebuilt = entries().filter(item => item.id !== 'b');
+  links().rebuild(rebuilt);
+  assert.deepEqual(graphOf(kept), graphOf(rebuilt));
+  assert.equal(new KnowledgeLinks({ root }).state.tf.b, undefined);
+});
+
+test('link() counts only the links it added', () => {
+  const items = entries().slice(0, 2);
+  const linker = links();
+  assert.equal(linker.link(items), 1);
+  assert.equal(linker.link(items), 0);
+});
@@ -0,0 +1,82 @@
+/**
+ * Pruning tests: confidence decay, why entries are archived and the archive
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import MemoryCurator from '../src/organizer.js';
+import { currentConfidence, freshness, pruneReason } from '../src/pruning.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-pruning-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+
+const entry = (id, confidence, lastConfirmed, extra = {}) => ({
+  id, topic: `Topic ${id}`, insight: `Insight ${id}`, confidence, timestamp: '2026-01-01T00:00:00.000Z', lastConfirmed, related: [], ...extra
+});
+
+test('confidence drops a point per idle period since the last confirmation or use', () => {
+  const item = entry('a', 8, '2026-03-01T00:00:00.000Z');
+  // 92 days idle
+  assert.equal(currentConfidence(item, NOW), 5);
+  assert.equal(currentConfidence(item, NOW, { decayDays: 10 }), 0);
+  assert.equal(currentConfidence({ ...item, lastUsed: '2026-05-20T00:00:00.000Z' }, NOW), 8);
+  // Entries from before lastConfirmed count from when they were added
+  assert.equal(currentConfidence({ ...item, lastConfirmed: undefined }, NOW), 3);
+});
+
+test('retracted and superseded entries go before stale ones', () => {
+  const fresh = entry('a', 8, '2026-05-31T00:00:00.000Z');
+  assert.equal(pruneReason(fresh, NOW), null);
+  assert.equal(pruneReason({ ...fresh, retractedAt: '2026-05-01T00:00:00.000Z', supersededBy: 'b' }, NOW), 'retracted');
+  assert.equal(pruneReason({ ...fresh, supersededBy: 'b' }, NOW), 'superseded');
+  assert.equal(pruneReason(entry('c', 4, '2026-03-01T00:00:00.000Z'), NOW), 'stale');
+  assert.equal(pruneReason(entry('c', 4, '2026-03-01T00:00:00.000Z'), NOW, { decayDays: 60, archiveBelow: 3 }), null);
+});
+
+test('freshness says when an entry was last confirmed or used', () => {
+  assert.equal(freshness(entry('a', 8, '2026-06-01T00:00:00.000Z'), NOW), 'confirmed today');
+  assert.equal(freshness(entry('a', 8, '2026-05-31T00:00:00.000Z'), NOW), 'confirmed yesterday');
+  assert.equal(freshness(entry('a', 8, '2026-05-01T00:00:00.000Z', { lastUsed: '2026-05-20T00:00:00.000Z' }), NOW), 'used 12 days ago');
+});
+
+test('prune moves what should go to the archive, with why', () => {
+  mkdirSync(join(root, 'knowledge-base'));
+  writeFileSync(join(root, 'knowledge-base', 'knowledge.json'), JSON.stringify({
+    categories: {
+      technical: [
+        entry('keep', 8, '2026-05-30T00:00:00.000Z', { related: [{ id: 'old', score: 0.5 }] }),
+        entry('old', 4, '2026-01-01T00:00:00.000Z', { related: [{ id: 'keep', score: 0.5 }] })
+      ],
+      earth_preferences: [entry('wrong', 9, '2026-05-30T00:00:00.000Z', { retractedAt: '2026-05-31T00:00:00.000Z' })]
+    }
+  }));
+
+  assert.equal(new MemoryCurator({ root }).prune({ dryRun: true }, NOW).length, 2);
+  assert.equal(new MemoryCurator({ root }).loadArchive().length, 0);
+
+  new MemoryCurator({ root }).prune({}, NOW);
+  const curator = new MemoryCurator({ root });
+  assert.deepEqual(curator.categories.technical.map(item => item.id), ['keep']);
+  assert.deepEqual(curator.categories.earth_preferences, []);
+  // Nothing links to an archived entry
+  assert.deepEqual(curator.categories.technical[0].related, []);
+  assert.deepEqual(curator.loadArchive().map(item => [item.id, item.category, item.archiveReason]), [
+    ['old', 'technical', 'stale'],
+    ['wrong', 'earth_preferences', 'retracted']
+  ]);
+});
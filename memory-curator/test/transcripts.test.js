@@ -0,0 +1,105 @@
+/**
+ * Transcript tests: parsing chats, spotting learnings and reading only
+ * what's new
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import MemoryCurator from '../src/organizer.js';
+import { extractCandidates, parseTranscript } from '../src/transcripts.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-transcripts-'));
+  mkdirSync(join(root, 'memory'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+const CHAT = [
+  '# Monday',
+  '**Earth:** Can you set up the VPS?',
+  'RITA: Done - nginx is running on port 80.',
+  'It also restarts on boot.',
+  'Earth: Perfect, thank you!',
+  '',
+  'Remember to renew the domain.'
+].join('\n');
+
+test('speaker lines start messages and other lines continue them', () => {
+  assert.deepEqual(parseTranscript(CHAT, 'chat.md'), [
+    { role: 'user', text: 'Can you set up the VPS?', line: 2 },
+    { role: 'assistant', text: 'Done - nginx is running on port 80. It also restarts on boot.', line: 3 },
+    { role: 'user', text: 'Perfect, thank you!', line: 5 },
+    // Free-form notes belong to nobody in particular
+    { role: 'other', text: 'Remember to renew the domain.', line: 7 }
+  ]);
+});
+
+test('JSONL transcripts read role and content, skipping lines that are not messages', () => {
+  const jsonl = [
+    JSON.stringify({ type: 'user', message: { role: 'user', content: [{ type: 'text', text: 'I prefer short answers.' }] } }),
+    'not json',
+    JSON.stringify({ type: 'summary', summary: 'nothing to see' }),
+    JSON.stringify({ role: 'assistant', content: 'Noted.' })
+  ].join('\n');
+  assert.deepEqual(parseTranscript(jsonl, 'session.jsonl'), [
+    { role: 'user', text: 'I prefer short answers.', line: 1 },
+    { role: 'assistant', text: 'Noted.', line: 4 }
+  ]);
+});
+
+test('rules spot preferences, wins, mistakes and strategies', () => {
+  const candidates = extractCandidates([
+    { role: 'user', text: 'I prefer dark mode. Can you switch it?', line: 1 },
+    { role: 'assistant', text: 'Switched the dashboard to dark mode for you.', line: 2 },
+    { role: 'user', text: 'Thanks, that worked.', line: 3 },
+    { role: 'assistant', text: 'My mistake on the colors earlier. Next time I will check contrast first.', line: 4 },
+    // Only Earth's own words count as Earth's preferences
+    { role: 'other', text: 'I prefer tea.', line: 5 }
+  ]);
+  assert.deepEqual(candidates.map(c => [c.kind, c.line]), [
+    ['preference', 1], ['win', 3], ['mistake', 4], ['strategy', 4]
+  ]);
+  assert.equal(candidates[0].topic, 'Earth preference: I prefer dark mode');
+  assert.equal(candidates[1].insight, 'Earth reacted well: "Thanks, that worked." (after I said: "Switched the dashboard to dark mode for you.")');
+});
+
+test('ingesting reads each transcript once, and only the new part once it grows', () => {
+  const file = join(root, 'memory', '2026-03-01.md');
+  writeFileSync(file, 'Earth: I prefer dark mode.\n');
+  assert.equal(new MemoryCurator({ root }).ingestTranscripts(), 1);
+  assert.equal(new MemoryCurator({ root }).ingestTranscripts(), 0);
+
+  appendFileSync(file, 'Earth: I hate emojis in reports.\n');
+  const curator = new MemoryCurator({ root });
+  assert.equal(curator.ingestTranscripts(), 1);
+  const entries = new MemoryCurator({ root }).categories.earth_preferences;
+  assert.deepEqual(entries.map(entry => [entry.insight, entry.origin]), [
+    ['I prefer dark mode.', '2026-03-01.md:1'],
+    ['I hate emojis in reports.', '2026-03-01.md:2']
+  ]);
+});
+
+test('a learning said again in a new transcript re-confirms the one I have', () => {
+  writeFileSync(join(root, 'memory', 'a.txt'), 'Earth: I prefer dark mode.\n');
+  const first = new MemoryCurator({ root });
+  first.ingestTranscripts();
+  const [entry] = first.categories.earth_preferences;
+
+  writeFileSync(join(root, 'memory', 'b.txt'), 'Earth: I prefer dark mode.\n');
+  const second = new MemoryCurator({ root });
+  assert.equal(second.ingestTranscripts(), 0);
+  const [again] = new MemoryCurator({ root }).categories.earth_preferences;
+  assert.equal(again.id, entry.id);
+  assert.ok(again.lastConfirmed >= entry.lastConfirmed);
+});
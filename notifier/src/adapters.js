@@ -0,0 +1,261 @@
+/**
+ * RITA's Notification Adapters
+ * One small function per delivery channel
+ *
+ * Every adapter is `async (message, settings, config)` where message is
+ * { type, subject, body }. Adapters throw on failure; errors with
+ * `retryable: false` (e.g. a 4xx from a webhook) aren't worth retrying.
+ */
+
+import { appendFileSync, existsSync, mkdirSync } from 'fs';
+import { connect as connectTcp } from 'net';
+import { connect as connectTls } from 'tls';
+import { hostname } from 'os';
+import { dirname, isAbsolute, join } from 'path';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Telegram's limit is 4096; leave room for the subject line
+const CHAT_MAX_LENGTH = 4000;
+
+function deliveryError(message, retryable = true) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+async function postJson(url, payload, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    throw deliveryError(`POST ${url} failed: ${err.cause?.message || err.message}`);
+  }
+  if (!response.ok) {
+    const text = (await response.text()).slice(0, 200);
+    // Client errors won't fix themselves - except rate limiting
+    throw deliveryError(`POST ${url} returned ${response.status}: ${text}`, response.status >= 500 || response.status === 429);
+  }
+  return { status: response.status };
+}
+
+/**
+ * Generic webhook - POSTs the message as JSON
+ * settings: { url, headers }
+ */
+export async function webhook(message, settings) {
+  if (!settings.url) throw deliveryError('webhook channel needs a "url"', false);
+  return postJson(settings.url, {
+    type: message.type,
+    subject: message.subject,
+    body: message.body,
+    sentAt: new Date().toISOString()
+  }, settings);
+}
+
+/**
+ * Chat bot HTTP API (Telegram's sendMessage by default)
+ * settings: { token, chatId } or { url, chatId, chatField, textField }
+ */
+export async function chat(message, settings) {
+  const url = settings.url || (settings.token && `https://api.telegram.org/bot${settings.token}/sendMessage`);
+  if (!url) throw deliveryError('chat channel needs a "url" or a bot "token"', false);
+  if (!settings.chatId) throw deliveryError('chat channel needs a "chatId"', false);
+
+  let text = `${message.subject}\n\n${message.body}`;
+  const maxLength = settings.maxLength || CHAT_MAX_LENGTH;
+  if (text.length > maxLength) {
+    text = `${text.slice(0, maxLength - 1)}…`;
+  }
+
+  return postJson(url, {
+    [settings.chatField || 'chat_id']: settings.chatId,
+    [settings.textField || 'text']: text,
+    ...settings.extra
+  }, settings);
+}
+
+/**
+ * Append to a local file - handy as an outbox, or for testing
+ * settings: { path } (relative to the workspace root)
+ */
+export async function file(message, settings, config) {
+  if (!settings.path) throw deliveryError('file channel needs a "path"', false);
+  const path = isAbsolute(settings.path) ? settings.path : join(config.root, settings.path);
+  if (!existsSync(dirname(path))) {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+  appendFileSync(path, `\n===== ${new Date().toISOString()} · ${message.type} =====\n# ${message.subject}\n\n${message.body}\n`);
+  return { path };
+}
+
+export async function stdout(message) {
+  console.log(`\n===== ${message.type}: ${message.subject} =====\n${message.body}`);
+  return {};
+}
+
+/**
+ * A line-based SMTP conversation over a (possibly upgraded) socket
+ */
+class SmtpConnection {
+  constructor(settings) {
+    this.settings = settings;
+    this.replies = [];
+    this.waiting = [];
+    this.lines = [];
+    this.buffer = '';
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.settings.timeoutMs || DEFAULT_TIMEOUT_MS, () => {
+      socket.destroy(deliveryError(`SMTP ${this.settings.host} timed out`));
+    });
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', err => this.fail(err));
+    socket.on('close', () => this.fail(deliveryError(`SMTP ${this.settings.host} closed the connection`)));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let end;
+    while ((end = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, end).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(end + 1);
+      this.lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), text: this.lines.join('\n') };
+        this.lines = [];
+        const waiter = this.waiting.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(err) {
+    this.error = this.error || err;
+    this.waiting.splice(0).forEach(waiter => waiter.reject(this.error));
+  }
+
+  nextReply() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  async command(line, expected, label = line.split(' ')[0]) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.nextReply();
+    if (!expected.includes(reply.code)) {
+      // 5xx is permanent, 4xx is "try again later"
+      throw deliveryError(`SMTP ${label} failed: ${reply.text}`, reply.code < 500);
+    }
+    return reply;
+  }
+
+  open(socket) {
+    return new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.once(this.settings.secure ? 'secureConnect' : 'connect', () => {
+        socket.off('error', reject);
+        resolve(socket);
+      });
+    });
+  }
+
+  async upgrade() {
+    const socket = connectTls({ socket: this.socket, servername: this.settings.host });
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('close');
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.once('secureConnect', resolve);
+    });
+    this.attach(socket);
+  }
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function formatEmail(message, { from, to }) {
+  const body = Buffer.from(message.body.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Plain SMTP email, no dependencies
+ * settings: { host, port, secure, starttls, user, pass, from, to }
+ */
+export async function smtp(message, settings) {
+  const { host, from } = settings;
+  const to = [].concat(settings.to || []);
+  if (!host || !from || to.length === 0) {
+    throw deliveryError('smtp channel needs "host", "from" and "to"', false);
+  }
+  const port = settings.port || (settings.secure ? 465 : 25);
+
+  const connection = new SmtpConnection(settings);
+  const socket = settings.secure
+    ? connectTls({ host, port, servername: host })
+    : connectTcp({ host, port });
+  try {
+    await connection.open(socket);
+  } catch (err) {
+    throw deliveryError(`SMTP connect to ${host}:${port} failed: ${err.message}`);
+  }
+  connection.attach(socket);
+
+  try {
+    await connection.command(null, [220], 'greeting');
+    const helo = `EHLO ${settings.helo || hostname()}`;
+    let ehlo = await connection.command(helo, [250]);
+    if (settings.starttls) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade();
+      ehlo = await connection.command(helo, [250]);
+    }
+    if (settings.user) {
+      if (!/AUTH[ =][^\n]*LOGIN/i.test(ehlo.text)) {
+        throw deliveryError(`SMTP ${host} doesn't offer AUTH LOGIN`, false);
+      }
+      await connection.command('AUTH LOGIN', [334]);
+      await connection.command(Buffer.from(settings.user).toString('base64'), [334], 'AUTH user');
+      await connection.command(Buffer.from(settings.pass || '').toString('base64'), [235], 'AUTH password');
+    }
+    await connection.command(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+    for (const recipient of to) {
+      await connection.command(`RCPT TO:<${recipient.replace(/^.*<|>.*$/g, '')}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    // Lines starting with "." are escaped by doubling it
+    const data = formatEmail(message, { from, to }).replace(/^\./gm, '..');
+    await connection.command(`${data}\r\n.`, [250], 'message');
+    await connection.command('QUIT', [221]).catch(() => {});
+    return { host, recipients: to.length };
+  } finally {
+    connection.socket.removeAllListeners('close');
+    connection.socket.destroy();
+  }
+}
+
+export const ADAPTERS = { webhook, chat, smtp, file, stdout };
@@ -0,0 +1,238 @@
+/**
+ * RITA's Notifier
+ * Sends reminders and summaries somewhere Earth will actually see them
+ *
+ * What it does:
+ * - Delivers a report through every channel configured for its type
+ * - Channels: webhook, SMTP email, chat bot HTTP API, file, stdout
+ * - Retries failed deliveries with backoff
+ * - Keeps a log of everything sent (and won't send the same thing twice)
+ *
+ * Configured under "notifications" in rita.config.json:
+ *
+ *   {
+ *     "notifications": {
+ *       "channels": {
+ *         "phone": { "type": "chat", "token": "${RITA_BOT_TOKEN}", "chatId": "12345" },
+ *         "outbox": { "type": "file", "path": "logs/outbox.md" }
+ *       },
+ *       "reports": { "follow-up": ["phone", "outbox"], "daily-summary": ["outbox"] }
+ *     }
+ *   }
+ *
+ * `${NAME}` in a channel setting is read from the environment, so secrets
+ * stay out of the config file.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { loadConfig } from '../../shared/src/config.js';
+import { createId } from '../../shared/src/records.js';
+import { periodRange } from '../../rollup/src/rollup.js';
+import { today, shiftDate } from '../../self-monitor/src/trends.js';
+import { ADAPTERS } from './adapters.js';
+
+// Report types and where each one's latest file lives
+export const REPORTS = {
+  'follow-up': {
+    subject: date => `📋 Follow-ups due ${date}`,
+    path: (config) => join(config.trackerDir, 'follow-up-reminder.md'),
+    // The reminder file is only current on the day it was written
+    current: (path, date) => statSync(path).mtime.toISOString().split('T')[0] === date
+  },
+  'daily-summary': {
+    subject: date => `📚 Daily learning summary ${date}`,
+    path: (config, date) => join(config.learningLogDir, `daily-summary-${date}.md`)
+  },
+  'self-assessment': {
+    subject: date => `🤖 Self-assessment ${date}`,
+    path: (config, date) => join(config.reportsDir, `self-assessment-${date}.md`)
+  },
+  'weekly-rollup': {
+    subject: date => `🗓️ Weekly rollup (week of ${periodRange('week', date).key})`,
+    path: (config, date) => join(config.reportsDir, `rollup-week-${periodRange('week', date).key}.md`)
+  },
+  'monthly-rollup': {
+    subject: date => `🗓️ Monthly rollup ${periodRange('month', shiftDate(date, -1)).label}`,
+    // Sent at the start of a month, about the month that just ended
+    path: (config, date) => join(config.reportsDir, `rollup-month-${periodRange('month', shiftDate(date, -1)).key}.md`)
+  }
+};
+
+const DEFAULTS = {
+  channels: {},
+  reports: {},
+  retries: 2,
+  retryDelayMs: 1000
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Replace `${NAME}` in every string setting with the environment value
+ */
+function expandEnv(value, env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => env[name] ?? '');
+  }
+  if (Array.isArray(value)) return value.map(v => expandEnv(v, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v, env)]));
+  }
+  return value;
+}
+
+class Notifier {
+  constructor(options = {}, env = process.env) {
+    this.config = loadConfig(options);
+    this.env = env;
+    this.settings = { ...DEFAULTS, ...this.config.notifications };
+    this.sentLogFile = join(this.config.logsDir, 'notifications.jsonl');
+  }
+
+  channelsFor(type) {
+    return this.settings.reports[type] || this.settings.reports.default || [];
+  }
+
+  channel(name) {
+    const settings = this.settings.channels[name];
+    if (!settings) throw new Error(`Unknown notification channel "${name}"`);
+    if (!ADAPTERS[settings.type]) {
+      throw new Error(`Channel "${name}" has unknown type "${settings.type}" (expected ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return expandEnv(settings, this.env);
+  }
+
+  /**
+   * Everything sent (or attempted), oldest first
+   */
+  history() {
+    if (!existsSync(this.sentLogFile)) return [];
+    return readFileSync(this.sentLogFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  record(entry) {
+    if (!existsSync(this.config.logsDir)) {
+      mkdirSync(this.config.logsDir, { recursive: true });
+    }
+    appendFileSync(this.sentLogFile, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Deliver through one channel, retrying with exponential backoff
+   */
+  async deliver(name, message) {
+    let settings;
+    try {
+      settings = this.channel(name);
+    } catch (err) {
+      // A broken channel shouldn't stop the others
+      return { status: 'failed', attempts: 0, error: err.message };
+    }
+    const adapter = ADAPTERS[settings.type];
+    const attempts = (settings.retries ?? this.settings.retries) + 1;
+    const delay = settings.retryDelayMs ?? this.settings.retryDelayMs;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await adapter(message, settings, this.config);
+        return { status: 'sent', attempts: attempt, result };
+      } catch (err) {
+        if (err.retryable === false || attempt >= attempts) {
+          return { status: 'failed', attempts: attempt, error: err.message };
+        }
+        await sleep(delay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Send a message to every channel configured for its type
+   * The same content isn't sent to the same channel twice.
+   */
+  async send(type, { subject, body }, { force = false, channels = this.channelsFor(type) } = {}) {
+    if (channels.length === 0) {
+      console.log(`📭 No channels configured for ${type}`);
+      return [];
+    }
+
+    const hash = createHash('sha256').update(`${subject}\n${body}`).digest('hex');
+    const sent = this.history().filter(e => e.status === 'sent' && e.type === type && e.hash === hash);
+
+    const results = [];
+    for (const name of channels) {
+      if (!force && sent.some(e => e.channel === name)) {
+        console.log(`⏭️  ${type} already sent to ${name}`);
+        results.push({ channel: name, status: 'skipped' });
+        continue;
+      }
+
+      const outcome = await this.deliver(name, { type, subject, body });
+      this.record({
+        id: createId(),
+        at: new Date().toISOString(),
+        type,
+        channel: name,
+        adapter: this.settings.channels[name]?.type || null,
+        subject,
+        hash,
+        status: outcome.status,
+        attempts: outcome.attempts,
+        ...(outcome.error && { error: outcome.error })
+      });
+
+      if (outcome.status === 'sent') {
+        console.log(`📨 ${type} sent to ${name}`);
+      } else {
+        console.log(`❌ ${type} to ${name} failed after ${outcome.attempts} attempt${outcome.attempts === 1 ? '' : 's'}: ${outcome.error}`);
+      }
+      results.push({ channel: name, ...outcome });
+    }
+    return results;
+  }
+
+  /**
+   * Send the current report of a given type, if there is one
+   */
+  async sendReport(type, date = today(), options = {}) {
+    const report = REPORTS[type];
+    if (!report) {
+      throw new Error(`Unknown report type "${type}" (expected ${Object.keys(REPORTS).join(', ')})`);
+    }
+
+    const path = report.path(this.config, date);
+    if (!existsSync(path) || (report.current && !report.current(path, date))) {
+      console.log(`📭 Nothing to send for ${type} on ${date}`);
+      return [];
+    }
+    return this.send(type, { subject: report.subject(date), body: readFileSync(path, 'utf8') }, options);
+  }
+
+  /**
+   * Check a channel works
+   */
+  async test(name) {
+    return this.send('test', {
+      subject: '🔔 RITA notification test',
+      body: `If you can read this, the "${name}" channel works. (${new Date().toISOString()})`
+    }, { channels: [name], force: true });
+  }
+}
+
+// Run if called directly: node notifier/src/notify.js <type> [...]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const notifier = new Notifier();
+  const types = process.argv.slice(2);
+  for (const type of types.length > 0 ? types : ['follow-up', 'daily-summary']) {
+    const results = await notifier.sendReport(type);
+    if (results.some(r => r.status === 'failed')) process.exitCode = 1;
+  }
+}
+
+export default Notifier;
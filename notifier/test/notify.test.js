@@ -0,0 +1,214 @@
+/**
+ * Notifier tests against local stub servers (no network needed)
+ *
+ *   npm test
+ */
+
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer as createHttpServer } from 'http';
+import { createServer as createTcpServer } from 'net';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Notifier from '../src/notify.js';
+
+// The notifier reports every delivery on the console; keep test output to the results
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+const MESSAGE = { subject: '📋 Follow-ups due 2026-10-19', body: 'Ask Earth about the Etsy listings.\n.hidden line' };
+
+/**
+ * A workspace with the given notifications config
+ */
+function workspace(notifications) {
+  const root = mkdtempSync(join(tmpdir(), 'rita-notify-'));
+  writeFileSync(join(root, 'rita.config.json'), JSON.stringify({ notifications }));
+  return { root, cleanup: () => rmSync(root, { recursive: true, force: true }) };
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+/**
+ * HTTP stub answering each request with the next status in `statuses`
+ * (the last one repeats); requests are recorded with when they arrived
+ */
+async function httpStub(statuses) {
+  const requests = [];
+  const server = createHttpServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ at: Date.now(), url: req.url, body: JSON.parse(body) });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end('{}');
+    });
+  });
+  const port = await listen(server);
+  return { url: `http://127.0.0.1:${port}/hook`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/**
+ * SMTP stub speaking just enough of the protocol, recording every command
+ */
+async function smtpStub() {
+  const commands = [];
+  let data = null;
+  const server = createTcpServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.setEncoding('utf8');
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+      let end;
+      while (!inData && (end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-stub\r\n250 AUTH LOGIN PLAIN\r\n');
+        else if (line === 'AUTH LOGIN') socket.write('334 VXNlcm5hbWU6\r\n');
+        else if (commands.at(-2) === 'AUTH LOGIN') socket.write('334 UGFzc3dvcmQ6\r\n');
+        else if (commands.at(-3) === 'AUTH LOGIN') socket.write('235 ok\r\n');
+        else if (line.startsWith('MAIL FROM') || line.startsWith('RCPT TO')) socket.write('250 ok\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('500 unknown\r\n');
+      }
+    });
+  });
+  const port = await listen(server);
+  return { port, commands, data: () => data, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('webhook retries 5xx with exponential backoff', async () => {
+  const stub = await httpStub([503, 502, 200]);
+  const ws = workspace({ channels: { hook: { type: 'webhook', url: stub.url, retries: 2, retryDelayMs: 50 } } });
+  try {
+    const [result] = await new Notifier({ root: ws.root }).send('follow-up', MESSAGE, { channels: ['hook'] });
+    assert.equal(result.status, 'sent');
+    assert.equal(result.attempts, 3);
+    assert.equal(stub.requests.length, 3);
+    assert.equal(stub.requests[2].body.subject, MESSAGE.subject);
+
+    const firstWait = stub.requests[1].at - stub.requests[0].at;
+    const secondWait = stub.requests[2].at - stub.requests[1].at;
+    assert.ok(firstWait >= 45, `first retry waited ${firstWait}ms`);
+    assert.ok(secondWait >= 95, `second retry waited ${secondWait}ms`);
+  } finally {
+    await stub.close();
+    ws.cleanup();
+  }
+});
+
+test('webhook gives up after the last retry', async () => {
+  const stub = await httpStub([500]);
+  const ws = workspace({ channels: { hook: { type: 'webhook', url: stub.url, retries: 1, retryDelayMs: 10 } } });
+  try {
+    const [result] = await new Notifier({ root: ws.root }).send('follow-up', MESSAGE, { channels: ['hook'] });
+    assert.equal(result.status, 'failed');
+    assert.equal(stub.requests.length, 2);
+  } finally {
+    await stub.close();
+    ws.cleanup();
+  }
+});
+
+test('webhook does not retry 4xx', async () => {
+  const stub = await httpStub([404]);
+  const ws = workspace({ channels: { hook: { type: 'webhook', url: stub.url, retries: 3, retryDelayMs: 10 } } });
+  try {
+    const [result] = await new Notifier({ root: ws.root }).send('follow-up', MESSAGE, { channels: ['hook'] });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.attempts, 1);
+    assert.equal(stub.requests.length, 1);
+    assert.match(result.error, /404/);
+  } finally {
+    await stub.close();
+    ws.cleanup();
+  }
+});
+
+test('chat posts the subject and body to the chat', async () => {
+  const stub = await httpStub([200]);
+  const ws = workspace({ channels: { phone: { type: 'chat', url: stub.url, chatId: '${CHAT_ID}' } } });
+  try {
+    const notifier = new Notifier({ root: ws.root }, { CHAT_ID: '12345' });
+    const [result] = await notifier.send('follow-up', MESSAGE, { channels: ['phone'] });
+    assert.equal(result.status, 'sent');
+    assert.deepEqual(stub.requests[0].body, { chat_id: '12345', text: `${MESSAGE.subject}\n\n${MESSAGE.body}` });
+  } finally {
+    await stub.close();
+    ws.cleanup();
+  }
+});
+
+test('smtp logs in and sends the message', async () => {
+  const stub = await smtpStub();
+  const ws = workspace({
+    channels: {
+      email: {
+        type: 'smtp', host: '127.0.0.1', port: stub.port, helo: 'rita.test',
+        user: 'rita', pass: 'secret', from: 'RITA <rita@example.com>', to: ['earth@example.com']
+      }
+    }
+  });
+  try {
+    const [result] = await new Notifier({ root: ws.root }).send('follow-up', MESSAGE, { channels: ['email'] });
+    assert.equal(result.status, 'sent');
+    assert.deepEqual(stub.commands, [
+      'EHLO rita.test',
+      'AUTH LOGIN',
+      Buffer.from('rita').toString('base64'),
+      Buffer.from('secret').toString('base64'),
+      'MAIL FROM:<rita@example.com>',
+      'RCPT TO:<earth@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+
+    const [headers, body] = stub.data().split('\r\n\r\n');
+    assert.match(headers, /^To: earth@example.com$/m);
+    assert.match(headers, /^Subject: =\?UTF-8\?B\?/m);
+    assert.equal(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'), MESSAGE.body.replace(/\n/g, '\r\n'));
+  } finally {
+    await stub.close();
+    ws.cleanup();
+  }
+});
+
+test('the sent log skips sending the same message twice', async () => {
+  const stub = await httpStub([200]);
+  const ws = workspace({ channels: { hook: { type: 'webhook', url: stub.url } } });
+  try {
+    const notifier = new Notifier({ root: ws.root });
+    const [first] = await notifier.send('follow-up', MESSAGE, { channels: ['hook'] });
+    const [second] = await notifier.send('follow-up', MESSAGE, { channels: ['hook'] });
+    assert.equal(first.status, 'sent');
+    assert.equal(second.status, 'skipped');
+    assert.equal(stub.requests.length, 1);
+    assert.equal(notifier.history().filter(entry => entry.status === 'sent').length, 1);
+
+    // Changed content, or forcing it, goes out again
+    await notifier.send('follow-up', { ...MESSAGE, body: `${MESSAGE.body}\nUpdated.` }, { channels: ['hook'] });
+    await notifier.send('follow-up', MESSAGE, { channels: ['hook'], force: true });
+    assert.equal(stub.requests.length, 3);
+  } finally {
+    await stub.close();
+    ws.cleanup();
+  }
+});
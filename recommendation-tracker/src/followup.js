@@ -4,39 +4,153 @@
  * 
  * What it does:
  * - Logs all recommendations I make
- * - Schedules follow-up reminders
+ * - Schedules follow-ups (snooze, awaiting answer, escalation)
  * - Tracks implementation rates
- * - Learns from what works/doesn't work
+ * - Keeps a full status history for every recommendation
+ * - Scores predicted impact against measured outcomes (calibration)
+ * - Learns from what works/doesn't work (rejections grouped into themes)
  * - Improves future recommendations
  */
 
-import { writeFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { writeFileSync, existsSync, mkdirSync, readFileSync, rmSync } from 'fs';
 import { join } from 'path';
+import { loadConfig } from '../../shared/src/config.js';
+import { createId, collapseCopies, collapseDuplicates, reassignDuplicateIds } from '../../shared/src/records.js';
+import { EntityIndex } from '../../shared/src/entities.js';
+import { withLock, writeJsonAtomic, snapshot, mergeRecords } from '../../shared/src/storage.js';
+import TrendAnalyzer from '../../self-monitor/src/trends.js';
+import { REJECTION_THEMES, classifyReason, collectRejections, clusterRejections } from './rejections.js';
+
+export const STATUSES = [
+  'pending',
+  'in_progress',
+  'partially_implemented',
+  'implemented',
+  'deferred',
+  'rejected',
+  'unknown'
+];
+
+// Where a recommendation may go next from each status
+export const TRANSITIONS = {
+  pending: ['in_progress', 'partially_implemented', 'implemented', 'deferred', 'rejected', 'unknown'],
+  in_progress: ['partially_implemented', 'implemented', 'deferred', 'rejected', 'unknown'],
+  partially_implemented: ['in_progress', 'implemented', 'rejected'],
+  deferred: ['pending', 'in_progress', 'rejected', 'unknown'],
+  unknown: ['pending', 'in_progress', 'partially_implemented', 'implemented', 'deferred', 'rejected'],
+  rejected: ['pending'],
+  implemented: []
+};
+
+// Decisions - time spent here isn't "sitting" anywhere
+const FINAL_STATUSES = ['implemented', 'rejected'];
+
+// Earth has made a call on these (fully or partly)
+export const RESOLVED_STATUSES = ['implemented', 'partially_implemented', 'rejected'];
+
+// Still waiting on something
+export const BACKLOG_STATUSES = ['pending', 'in_progress', 'deferred'];
+
+// How far a recommendation has got, for picking between copies of it
+const PROGRESS = {
+  pending: 0, deferred: 0, unknown: 0, in_progress: 1, partially_implemented: 2, implemented: 3, rejected: 3
+};
+
+// What makes two recommendations the same one
+const CONTENT_FIELDS = ['what', 'context', 'rationale', 'expectedOutcome'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Follow-up scheduling, overridable with "followUp" in rita.config.json
+const FOLLOW_UP_DEFAULTS = {
+  // Days until the first follow-up, by time frame
+  days: { immediate: 1, short_term: 7, long_term: 30, unspecified: 7 },
+  // Days to wait for an answer before asking again
+  // (an item left overdue this long without being asked counts as one more unanswered follow-up)
+  awaitDays: 3,
+  snoozeDays: 3,
+  // This many follow-ups without an answer and it's escalated
+  escalateAfter: 2,
+  // ...and after this many it moves to `unknown`
+  maxUnanswered: 4
+};
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * A recommendation's status at the end of `date` (YYYY-MM-DD), replayed from
+ * its history - null if it didn't exist yet
+ */
+export function statusAt(rec, date) {
+  const events = rec.history.filter(event => String(event.at).split('T')[0] <= date);
+  return events.length > 0 ? events[events.length - 1].to : null;
+}
+
+function dateOf(now) {
+  return now.toISOString().split('T')[0];
+}
 
-const TRACKER_DIR = '/root/.openclaw/workspace/rita-toolkit/recommendation-tracker';
-const DATA_FILE = join(TRACKER_DIR, 'recommendations.json');
+// Impact scores are 1-10; a miss of more than this is a calibration lesson
+const CALIBRATION_TOLERANCE = 1;
+
+// Example recommendations for a fresh workspace (see seed())
+const DEMO_RECOMMENDATIONS = [
+  {
+    what: 'Create Daily Agent Swarm for business ideation',
+    context: 'Earth wanted new ideas and automation',
+    rationale: 'Multiple AI agents generate diverse ideas daily, evaluated and implemented automatically',
+    expectedOutcome: 'Consistent innovation without manual brainstorming',
+    expectedImpact: { score: 7, metric: 'new ideas per week', target: 10 },
+    followupDate: '2026-02-05',
+    // We already did this one
+    resolved: {
+      status: 'implemented',
+      earthResponse: 'Earth loved it!',
+      actualOutcome: 'Successfully created and deployed the agent swarm system',
+      measurement: { score: 9, value: 15, note: 'Swarm runs daily without prompting' }
+    }
+  },
+  {
+    what: 'Build Etsy SEO Mastery study report',
+    context: 'Earth learning about digital product business',
+    rationale: 'Comprehensive SEO guide specifically for Etsy digital sellers',
+    expectedOutcome: 'Better understanding of SEO strategy for Asobo Creations',
+    expectedImpact: { score: 6, metric: 'listings with optimized tags', target: 20 },
+    followupDate: '2026-02-06'
+  },
+  {
+    what: 'Implement Coquette Constellations coloring book',
+    context: 'Winner of today\'s agent swarm',
+    rationale: 'Create 20-page coloring book merging coquette + celestial aesthetics',
+    expectedOutcome: 'Valentine\'s Day product launch with trend alignment',
+    followupDate: '2026-02-07'
+  }
+];
 
 class RecommendationTracker {
-  constructor() {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.dataFile = join(this.config.trackerDir, 'recommendations.json');
+    this.followUpSettings = {
+      ...FOLLOW_UP_DEFAULTS,
+      ...this.config.followUp,
+      days: { ...FOLLOW_UP_DEFAULTS.days, ...this.config.followUp?.days }
+    };
     this.recommendations = this.loadData();
+    this.loaded = snapshot(this.getAll());
     this.ensureDirs();
   }
 
   ensureDirs() {
-    if (!existsSync(TRACKER_DIR)) {
-      mkdirSync(TRACKER_DIR, { recursive: true });
+    if (!existsSync(this.config.trackerDir)) {
+      mkdirSync(this.config.trackerDir, { recursive: true });
     }
   }
 
   loadData() {
-    if (existsSync(DATA_FILE)) {
-      return JSON.parse(readFileSync(DATA_FILE, 'utf8'));
-    }
-    return {
-      pending: [],
-      implemented: [],
-      rejected: [],
-      unknown: [],
+    const data = {
       stats: {
         total: 0,
         implemented: 0,
@@ -44,172 +158,746 @@ class RecommendationTracker {
         successRate: 0
       }
     };
+    if (existsSync(this.dataFile)) {
+      Object.assign(data, JSON.parse(readFileSync(this.dataFile, 'utf8')));
+    }
+    STATUSES.forEach(status => {
+      data[status] = data[status] || [];
+      data[status].forEach(rec => this.ensureHistory(rec));
+    });
+    return data;
   }
 
-  saveData() {
-    writeFileSync(DATA_FILE, JSON.stringify(this.recommendations, null, 2));
+  /**
+   * Records from before status history existed get one rebuilt from
+   * what they still know: when they were made and when they last changed
+   */
+  ensureHistory(rec) {
+    if (rec.history) return;
+    rec.history = [{ from: null, to: 'pending', at: rec.timestamp, note: 'created' }];
+    if (rec.status !== 'pending') {
+      rec.history.push({
+        from: 'pending',
+        to: rec.status,
+        at: rec.updatedAt || rec.timestamp,
+        note: rec.earthResponse || null
+      });
+    }
+  }
+
+  /**
+   * Save under the file's lock, merged with whatever other processes saved
+   * since I loaded (`replace` writes mine as they are - for repair)
+   */
+  saveData({ replace = false } = {}) {
+    withLock(this.dataFile, () => {
+      if (!replace) {
+        const disk = this.loadData();
+        const records = mergeRecords(STATUSES.flatMap(status => disk[status]), this.getAll(), this.loaded);
+        STATUSES.forEach(status => {
+          this.recommendations[status] = records.filter(rec => rec.status === status);
+        });
+      }
+      // Stats are always derived from the records, never counted up by hand
+      this.recomputeStats();
+      writeJsonAtomic(this.dataFile, this.recommendations);
+      this.loaded = snapshot(this.getAll());
+    });
   }
 
   /**
    * Add a new recommendation
+   * expectedImpact is { score (1-10), metric, target } - any part may be left out.
+   * `id` lets another tool register a record it already has (same ID in both
+   * stores); `origin` says where it came from.
    */
-  add(what, context, rationale, expectedOutcome, followupDate) {
+  add(what, context, rationale, expectedOutcome, followupDate, timeFrame = null, expectedImpact = null, { id = createId(), origin = null } = {}) {
+    const timestamp = new Date().toISOString();
     const rec = {
-      id: Date.now().toString(),
-      timestamp: new Date().toISOString(),
+      id,
+      timestamp,
       what,
       context,
       rationale,
       expectedOutcome,
-      followupDate,
+      followupDate: followupDate || this.defaultFollowUpDate(timeFrame, timestamp),
+      followUp: this.newFollowUp(),
+      timeFrame, // 'immediate', 'short_term', 'long_term'
+      expectedImpact: this.normalizeImpact(expectedImpact),
       status: 'pending',
       earthResponse: null,
       actualOutcome: null,
-      lessons: null
+      measurement: null, // { score, value, note, at } once the outcome is measured
+      lessons: null,
+      history: [{ from: null, to: 'pending', at: timestamp, note: 'created' }],
+      ...(origin && { origin })
     };
 
     this.recommendations.pending.push(rec);
-    this.recommendations.stats.total++;
     this.saveData();
 
     console.log(`✅ Recommendation tracked: ${what.slice(0, 50)}...`);
     return rec.id;
   }
 
+  normalizeImpact(impact) {
+    if (!impact) return null;
+    const number = value => (value === undefined || value === null || value === '' ? null : Number(value));
+    const normalized = {
+      score: number(impact.score),
+      metric: impact.metric || null,
+      target: number(impact.target)
+    };
+    if (normalized.score !== null && !(normalized.score >= 1 && normalized.score <= 10)) {
+      throw new Error(`Impact score must be between 1 and 10 (got ${impact.score})`);
+    }
+    return normalized.score === null && normalized.metric === null && normalized.target === null
+      ? null
+      : normalized;
+  }
+
+  /**
+   * Record the measured outcome of an implemented recommendation
+   * measurement is { score (1-10), value (for the expected metric), note }
+   */
+  recordOutcome(id, measurement) {
+    const rec = this.getAll().find(r => r.id === id);
+    if (!rec) {
+      console.log(`❌ Recommendation ${id} not found`);
+      return;
+    }
+    if (!['implemented', 'partially_implemented'].includes(rec.status)) {
+      console.log(`❌ Can't measure ${id} while it is ${rec.status} - only implemented recommendations have outcomes`);
+      return;
+    }
+
+    const score = measurement.score ?? null;
+    const value = measurement.value ?? null;
+    if (score === null && value === null) {
+      console.log(`❌ Nothing to record - give a score and/or a measured value`);
+      return;
+    }
+    if (score !== null && !(score >= 1 && score <= 10)) {
+      console.log(`❌ Outcome score must be between 1 and 10 (got ${score})`);
+      return;
+    }
+
+    rec.measurement = { score, value, note: measurement.note || null, at: new Date().toISOString() };
+    rec.calibration = this.calibrate(rec);
+    this.extractLessons(rec);
+    this.saveData();
+
+    console.log(`📏 Outcome recorded for ${id}${rec.calibration ? ` (calibration error ${rec.calibration.error > 0 ? '+' : ''}${rec.calibration.error})` : ''}`);
+    return rec;
+  }
+
+  /**
+   * Compare predicted impact with the measured outcome
+   * error > 0 means I underestimated, < 0 that I overestimated.
+   */
+  calibrate(rec) {
+    const expected = rec.expectedImpact;
+    const actual = rec.measurement;
+    if (!expected || !actual) return null;
+
+    const calibration = { error: null, targetRatio: null };
+    if (expected.score !== null && actual.score !== null) {
+      calibration.error = actual.score - expected.score;
+    }
+    if (expected.target && actual.value !== null) {
+      calibration.targetRatio = Number((actual.value / expected.target).toFixed(2));
+    }
+    return calibration.error === null && calibration.targetRatio === null ? null : calibration;
+  }
+
+  /**
+   * How well my impact predictions match reality, overall and by month
+   */
+  calibrationSummary() {
+    const measured = this.getAll()
+      .filter(rec => rec.calibration && rec.calibration.error !== null)
+      .sort((a, b) => a.measurement.at.localeCompare(b.measurement.at));
+    if (measured.length === 0) return null;
+
+    const summarize = recs => {
+      const errors = recs.map(rec => rec.calibration.error);
+      return {
+        count: recs.length,
+        meanError: Number((errors.reduce((a, b) => a + b, 0) / errors.length).toFixed(2)),
+        meanAbsoluteError: Number((errors.reduce((a, b) => a + Math.abs(b), 0) / errors.length).toFixed(2)),
+        withinTolerance: errors.filter(e => Math.abs(e) <= CALIBRATION_TOLERANCE).length
+      };
+    };
+
+    const byMonth = {};
+    measured.forEach(rec => {
+      const month = rec.measurement.at.slice(0, 7);
+      byMonth[month] = byMonth[month] || [];
+      byMonth[month].push(rec);
+    });
+
+    const overTime = {};
+    Object.entries(byMonth).forEach(([month, recs]) => {
+      overTime[month] = summarize(recs);
+    });
+
+    return { ...summarize(measured), overTime };
+  }
+
+  /**
+   * All recommendations, whatever their status
+   */
+  getAll() {
+    return STATUSES.flatMap(status => this.recommendations[status]);
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
   /**
    * Update recommendation status
+   * Every change is kept in rec.history as { from, to, at, note }
    */
-  updateStatus(id, status, earthResponse, actualOutcome) {
-    const allRecs = [
-      ...this.recommendations.pending,
-      ...this.recommendations.implemented,
-      ...this.recommendations.rejected,
-      ...this.recommendations.unknown
-    ];
-
-    const rec = allRecs.find(r => r.id === id);
+  updateStatus(id, status, earthResponse, actualOutcome, note = null) {
+    const rec = this.getAll().find(r => r.id === id);
     if (!rec) {
       console.log(`❌ Recommendation ${id} not found`);
       return;
     }
+    if (!STATUSES.includes(status)) {
+      console.log(`❌ Unknown status "${status}" (expected ${STATUSES.join(', ')})`);
+      return;
+    }
+    if (!this.canTransition(rec.status, status)) {
+      const allowed = TRANSITIONS[rec.status]?.join(', ') || 'nothing';
+      console.log(`❌ Can't move ${id} from ${rec.status} to ${status} (allowed: ${allowed})`);
+      return;
+    }
 
     // Remove from old status
-    ['pending', 'implemented', 'rejected', 'unknown'].forEach(status => {
+    STATUSES.forEach(status => {
       this.recommendations[status] = this.recommendations[status].filter(r => r.id !== id);
     });
 
     // Add to new status
+    const at = new Date().toISOString();
+    rec.history.push({
+      from: rec.status,
+      to: status,
+      at,
+      note: note || earthResponse || null,
+      earthResponse: earthResponse ?? null,
+      actualOutcome: actualOutcome ?? null
+    });
     rec.status = status;
-    rec.earthResponse = earthResponse;
-    rec.actualOutcome = actualOutcome;
-    rec.updatedAt = new Date().toISOString();
-
-    this.recommendations[status].push(rec);
-
-    // Update stats
-    if (status === 'implemented') {
-      this.recommendations.stats.implemented++;
-    } else if (status === 'rejected') {
-      this.recommendations.stats.rejected++;
+    rec.earthResponse = earthResponse ?? rec.earthResponse;
+    rec.actualOutcome = actualOutcome ?? rec.actualOutcome;
+    rec.updatedAt = at;
+
+    // Hearing back resets the follow-up cycle; only open items get a next one
+    if (BACKLOG_STATUSES.includes(status)) {
+      rec.followUp = this.newFollowUp();
+      rec.followupDate = this.defaultFollowUpDate(status === 'deferred' ? 'long_term' : rec.timeFrame, at);
+    } else {
+      rec.followUp = null;
     }
 
-    this.calculateSuccessRate();
+    this.recommendations[status].push(rec);
     this.saveData();
 
     console.log(`📝 Recommendation ${id} marked as ${status}`);
     
-    // Extract lessons
-    if (status === 'implemented' || status === 'rejected') {
+    // Extract lessons from every decision, partial ones included
+    if (RESOLVED_STATUSES.includes(status)) {
       this.extractLessons(rec);
+      this.saveData();
     }
+
+    return rec;
+  }
+
+  /**
+   * How long a recommendation spent in each status, in days
+   * An open status counts up to `now`; a final decision doesn't count at all.
+   */
+  timeInStates(rec, now = new Date()) {
+    const durations = {};
+    rec.history.forEach((event, i) => {
+      const next = rec.history[i + 1];
+      if (!next && FINAL_STATUSES.includes(event.to)) return;
+      const end = next ? new Date(next.at) : now;
+      const days = (end - new Date(event.at)) / DAY_MS;
+      durations[event.to] = (durations[event.to] || 0) + Math.max(0, days);
+    });
+    return durations;
+  }
+
+  /**
+   * Average days recommendations sat in each status
+   */
+  averageTimeInStates(now = new Date()) {
+    const totals = {};
+    this.getAll().forEach(rec => {
+      Object.entries(this.timeInStates(rec, now)).forEach(([status, days]) => {
+        totals[status] = totals[status] || { days: 0, count: 0 };
+        totals[status].days += days;
+        totals[status].count++;
+      });
+    });
+
+    const averages = {};
+    Object.entries(totals).forEach(([status, { days, count }]) => {
+      averages[status] = { averageDays: Number((days / count).toFixed(1)), count };
+    });
+    return averages;
+  }
+
+  /**
+   * Days from creation to the first time Earth made a call on it
+   */
+  timeToDecision(rec) {
+    const decision = rec.history.find(event => RESOLVED_STATUSES.includes(event.to));
+    if (!decision) return null;
+    return (new Date(decision.at) - new Date(rec.timestamp)) / DAY_MS;
+  }
+
+  /**
+   * Implementation/rejection rates among a set of recommendations
+   */
+  rates(recs) {
+    const count = status => recs.filter(r => r.status === status).length;
+    const resolved = recs.filter(r => RESOLVED_STATUSES.includes(r.status)).length;
+    const rate = n => (resolved > 0 ? Number(((n / resolved) * 100).toFixed(1)) : null);
+    return {
+      total: recs.length,
+      resolved,
+      implemented: count('implemented'),
+      partiallyImplemented: count('partially_implemented'),
+      rejected: count('rejected'),
+      implementationRate: rate(count('implemented')),
+      partialRate: rate(count('partially_implemented')),
+      rejectionRate: rate(count('rejected'))
+    };
+  }
+
+  breakdown(recs, keyOf) {
+    const groups = {};
+    recs.forEach(rec => {
+      const key = keyOf(rec) || 'unspecified';
+      groups[key] = groups[key] || [];
+      groups[key].push(rec);
+    });
+    const result = {};
+    Object.entries(groups).forEach(([key, group]) => {
+      result[key] = this.rates(group);
+    });
+    return result;
+  }
+
+  /**
+   * Recommendation metrics, computed from the records themselves
+   */
+  calculateMetrics(now = new Date()) {
+    const all = this.getAll();
+    const round = n => Number(n.toFixed(1));
+
+    const decisionDays = all.map(rec => this.timeToDecision(rec)).filter(d => d !== null).sort((a, b) => a - b);
+    const backlogAges = all
+      .filter(rec => BACKLOG_STATUSES.includes(rec.status))
+      .map(rec => (now - new Date(rec.timestamp)) / DAY_MS);
+
+    return {
+      ...this.rates(all),
+      open: BACKLOG_STATUSES.reduce((open, status) => {
+        open[status] = this.recommendations[status].length;
+        return open;
+      }, {}),
+      unknown: this.recommendations.unknown.length,
+      timeToDecision: decisionDays.length > 0
+        ? {
+          averageDays: round(decisionDays.reduce((a, b) => a + b, 0) / decisionDays.length),
+          medianDays: round((decisionDays[Math.floor((decisionDays.length - 1) / 2)] + decisionDays[Math.floor(decisionDays.length / 2)]) / 2),
+          decided: decisionDays.length
+        }
+        : null,
+      backlog: {
+        count: backlogAges.length,
+        averageAgeDays: backlogAges.length > 0 ? round(backlogAges.reduce((a, b) => a + b, 0) / backlogAges.length) : null,
+        oldestAgeDays: backlogAges.length > 0 ? round(Math.max(...backlogAges)) : null
+      },
+      byContext: this.breakdown(all, rec => rec.context),
+      byTimeFrame: this.breakdown(all, rec => rec.timeFrame)
+    };
+  }
+
+  /**
+   * Rebuild stats from the records themselves
+   */
+  recomputeStats() {
+    const rates = this.rates(this.getAll());
+    this.recommendations.stats = {
+      total: rates.total,
+      resolved: rates.resolved,
+      implemented: rates.implemented,
+      partiallyImplemented: rates.partiallyImplemented,
+      rejected: rates.rejected,
+      // Share of resolved recommendations that were implemented
+      successRate: rates.implementationRate ?? 0
+    };
   }
 
-  calculateSuccessRate() {
-    const total = this.recommendations.stats.total;
-    const implemented = this.recommendations.stats.implemented;
-    this.recommendations.stats.successRate = total > 0 
-      ? ((implemented / total) * 100).toFixed(1)
-      : 0;
+  /**
+   * Repair the data file: collapse exact duplicates left by the old nightly
+   * reseeding, give shared IDs fresh ones, and recompute stats
+   */
+  repair({ dryRun = false } = {}) {
+    let collapsed = 0;
+    STATUSES.forEach(status => {
+      const result = collapseDuplicates(this.recommendations[status]);
+      this.recommendations[status] = result.records;
+      collapsed += result.collapsed.length;
+    });
+
+    // The reseeding also left copies under other statuses - keep the one
+    // that got furthest (the latest of those), with what the others went through
+    const copies = collapseCopies(this.getAll(), CONTENT_FIELDS, (a, b) =>
+      PROGRESS[b.status] - PROGRESS[a.status] ||
+      String(b.updatedAt || b.timestamp || '').localeCompare(String(a.updatedAt || a.timestamp || ''))
+    );
+    copies.collapsed.forEach(({ record, kept }) => {
+      const { id, timestamp, status, history } = record;
+      kept.collapsedCopies = [...(kept.collapsedCopies || []), { id, timestamp, status, history }];
+    });
+    STATUSES.forEach(status => {
+      this.recommendations[status] = copies.records.filter(rec => rec.status === status);
+    });
+    collapsed += copies.collapsed.length;
+
+    const reassigned = reassignDuplicateIds(this.getAll());
+    if (dryRun) {
+      this.recomputeStats();
+    } else {
+      this.saveData({ replace: true });
+    }
+
+    console.log(`🔧 Recommendations: ${collapsed} duplicates collapsed, ${reassigned.length} IDs reassigned${dryRun ? ' (dry run)' : ''}`);
+    return { collapsed, reassigned };
   }
 
+  /**
+   * Lessons come from comparing predicted and measured impact
+   */
   extractLessons(rec) {
     let lesson = '';
     
-    if (rec.status === 'implemented') {
-      if (rec.actualOutcome === rec.expectedOutcome) {
-        lesson = 'Accurate prediction—my understanding of the situation was correct.';
-      } else if (rec.actualOutcome > rec.expectedOutcome) {
-        lesson = 'Underestimated the impact—Earth exceeded expectations!';
+    if (rec.status === 'implemented' || rec.status === 'partially_implemented') {
+      const calibration = rec.calibration;
+      const metric = rec.expectedImpact?.metric;
+      if (!calibration) {
+        lesson = rec.expectedImpact
+          ? 'Outcome not measured yet—record it to check my prediction.'
+          : 'No impact prediction was made—can\'t tell whether I judged this well.';
       } else {
-        lesson = 'Overestimated the impact—need to calibrate expectations.';
+        const parts = [];
+        if (calibration.error !== null) {
+          if (Math.abs(calibration.error) <= CALIBRATION_TOLERANCE) {
+            parts.push(`Accurate prediction—impact ${rec.measurement.score}/10 vs ${rec.expectedImpact.score}/10 expected.`);
+          } else if (calibration.error > 0) {
+            parts.push(`Underestimated the impact by ${calibration.error} points—Earth exceeded expectations!`);
+          } else {
+            parts.push(`Overestimated the impact by ${Math.abs(calibration.error)} points—need to calibrate expectations.`);
+          }
+        }
+        if (calibration.targetRatio !== null) {
+          const label = metric || 'target';
+          parts.push(calibration.targetRatio >= 1
+            ? `Hit the ${label} target (${rec.measurement.value} vs ${rec.expectedImpact.target}).`
+            : `Reached ${Math.round(calibration.targetRatio * 100)}% of the ${label} target (${rec.measurement.value} vs ${rec.expectedImpact.target}).`);
+        }
+        lesson = parts.join(' ');
       }
     } else if (rec.status === 'rejected') {
-      lesson = `Didn't resonate—${rec.earthResponse || 'no feedback given'}. Need to understand Earth\'s priorities better.`;
+      const theme = rec.earthResponse && classifyReason(rec.earthResponse);
+      lesson = theme
+        ? `Didn't resonate (${REJECTION_THEMES[theme].label.toLowerCase()})—${rec.earthResponse}. ${REJECTION_THEMES[theme].guidance}`
+        : `Didn't resonate—${rec.earthResponse || 'no feedback given'}. Need to understand Earth\'s priorities better.`;
     }
 
     rec.lessons = lesson;
   }
 
+  newFollowUp() {
+    // state: 'scheduled', 'snoozed' or 'awaiting_answer'
+    // missed: overdue cycles that went by before the follow-up date last moved
+    return { state: 'scheduled', asked: 0, missed: 0, lastAskedAt: null, escalated: false };
+  }
+
+  /**
+   * Whole `awaitDays` cycles an item has sat past its follow-up date
+   */
+  overdueCycles(rec, now = new Date()) {
+    const days = (Date.parse(`${dateOf(now)}T00:00:00Z`) - Date.parse(`${rec.followupDate}T00:00:00Z`)) / DAY_MS;
+    return days > 0 ? Math.floor(days / this.followUpSettings.awaitDays) : 0;
+  }
+
   /**
-   * Get recommendations needing follow-up
+   * Follow-ups that went without an answer: each time I asked, plus each
+   * cycle it sat overdue without me asking
    */
-  getFollowUps() {
-    const now = new Date();
-    return this.recommendations.pending.filter(rec => {
-      if (!rec.followupDate) return false;
-      const followup = new Date(rec.followupDate);
-      return followup <= now;
+  unanswered(rec, now = new Date()) {
+    return rec.followUp.asked + (rec.followUp.missed || 0) + this.overdueCycles(rec, now);
+  }
+
+  /**
+   * Keep the cycles missed so far before moving the follow-up date
+   */
+  moveFollowUp(rec, date, now) {
+    rec.followUp.missed = (rec.followUp.missed || 0) + this.overdueCycles(rec, now);
+    rec.followupDate = date;
+  }
+
+  /**
+   * First follow-up date for a recommendation made at `from`
+   */
+  defaultFollowUpDate(timeFrame, from = new Date().toISOString()) {
+    const days = this.followUpSettings.days;
+    return addDays(from.split('T')[0], days[timeFrame] ?? days.unspecified);
+  }
+
+  /**
+   * Open recommendations, with follow-up state filled in for older records
+   */
+  openRecommendations() {
+    return BACKLOG_STATUSES.flatMap(status => this.recommendations[status]).map(rec => {
+      rec.followUp = rec.followUp || this.newFollowUp();
+      rec.followupDate = rec.followupDate || this.defaultFollowUpDate(rec.timeFrame, rec.timestamp);
+      return rec;
     });
   }
 
+  findOpen(id) {
+    const rec = this.openRecommendations().find(r => r.id === id);
+    if (!rec) {
+      const closed = this.getAll().find(r => r.id === id);
+      console.log(closed
+        ? `❌ Recommendation ${id} is ${closed.status} - nothing to follow up`
+        : `❌ Recommendation ${id} not found`);
+    }
+    return rec;
+  }
+
   /**
-   * Generate follow-up reminder
+   * Push a follow-up back, by `days` or to a given date
    */
-  generateFollowUpReminder() {
-    const followups = this.getFollowUps();
+  snooze(id, { days = this.followUpSettings.snoozeDays, until = null } = {}, now = new Date()) {
+    const rec = this.findOpen(id);
+    if (!rec) return;
+
+    this.moveFollowUp(rec, until || addDays(dateOf(now), days), now);
+    rec.followUp.state = 'snoozed';
+    this.saveData();
+
+    console.log(`😴 Follow-up for ${id} snoozed until ${rec.followupDate}`);
+    return rec;
+  }
+
+  /**
+   * I asked Earth - wait a few days for an answer before asking again
+   */
+  markAsked(id, now = new Date()) {
+    const rec = this.findOpen(id);
+    if (!rec) return;
+    this.recordAsk(rec, now);
+    this.saveData();
+
+    console.log(`💬 Asked about ${id} (${rec.followUp.asked}×) - awaiting answer until ${rec.followupDate}`);
+    return rec;
+  }
+
+  recordAsk(rec, now) {
+    const { awaitDays, escalateAfter } = this.followUpSettings;
+    this.moveFollowUp(rec, addDays(dateOf(now), awaitDays), now);
+    rec.followUp.asked++;
+    rec.followUp.lastAskedAt = now.toISOString();
+    rec.followUp.state = 'awaiting_answer';
+    rec.followUp.escalated = this.unanswered(rec, now) >= escalateAfter;
+  }
+
+  /**
+   * Move items that went maxUnanswered follow-ups without an answer to `unknown`
+   */
+  expireUnanswered(now = new Date()) {
+    const { maxUnanswered } = this.followUpSettings;
+    const expired = this.openRecommendations()
+      .map(rec => ({ rec, unanswered: this.unanswered(rec, now) }))
+      .filter(({ rec, unanswered }) => unanswered >= maxUnanswered && rec.followupDate <= dateOf(now));
+    expired.forEach(({ rec, unanswered }) => {
+      this.updateStatus(rec.id, 'unknown', null, null, `No answer after ${unanswered} follow-ups`);
+    });
+    return expired.map(({ rec }) => rec);
+  }
+
+  /**
+   * Get recommendations whose follow-up is due today (or overdue)
+   * Escalated ones come first, then the longest overdue.
+   */
+  getFollowUps(now = new Date()) {
+    const today = dateOf(now);
+    return this.openRecommendations()
+      .filter(rec => rec.followupDate <= today && rec.followUp.lastAskedAt?.split('T')[0] !== today)
+      .map(rec => {
+        rec.followUp.escalated = this.unanswered(rec, now) >= this.followUpSettings.escalateAfter;
+        return rec;
+      })
+      .sort((a, b) =>
+        Number(b.followUp.escalated) - Number(a.followUp.escalated) ||
+        a.followupDate.localeCompare(b.followupDate)
+      );
+  }
+
+  /**
+   * Generate follow-up reminder for what's due today
+   */
+  generateFollowUpReminder(now = new Date()) {
+    const followups = this.getFollowUps(now);
     
     if (followups.length === 0) {
       return null;
     }
 
+    const escalated = followups.filter(rec => rec.followUp.escalated).length;
     let reminder = `# 📋 RITA's Follow-Up Reminder\n\n`;
-    reminder += `**Date:** ${new Date().toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n`;
-    reminder += `**Recommendations to check on:** ${followups.length}\n\n`;
+    reminder += `**Date:** ${now.toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n`;
+    reminder += `**Recommendations to check on:** ${followups.length}`;
+    reminder += escalated > 0 ? ` (${escalated} escalated)\n\n` : `\n\n`;
 
     followups.forEach((rec, i) => {
-      reminder += `## ${i + 1}. ${rec.what.slice(0, 60)}...\n\n`;
+      const { asked, escalated } = rec.followUp;
+      reminder += `## ${i + 1}. ${escalated ? '🔥 ' : ''}${rec.what.slice(0, 60)}...\n\n`;
       reminder += `- **Suggested:** ${new Date(rec.timestamp).toLocaleDateString()}\n`;
       reminder += `- **Context:** ${rec.context}\n`;
       reminder += `- **Expected:** ${rec.expectedOutcome}\n`;
-      reminder += `- **Status:** Pending follow-up\n\n`;
-      reminder += `**Ask Earth:** "Hey, did you get a chance to try the ${rec.what.slice(0, 30)}... I suggested? How did it go?"\n\n`;
+      if (rec.expectedImpact) {
+        const { score, metric, target } = rec.expectedImpact;
+        const parts = [score !== null && `${score}/10`, metric && target !== null ? `${target} ${metric}` : metric].filter(Boolean);
+        reminder += `- **Predicted impact:** ${parts.join(', ')}\n`;
+      }
+      reminder += `- **Status:** ${rec.status}, follow-up due ${rec.followupDate}\n`;
+      const unanswered = this.unanswered(rec, now);
+      if (unanswered > 0) {
+        const left = Math.max(0, this.followUpSettings.maxUnanswered - unanswered);
+        reminder += `- **Unanswered:** ${unanswered} follow-up${unanswered === 1 ? '' : 's'} (asked ${asked}×, the rest overdue) - ${left} more before it's marked unknown\n`;
+      }
+      reminder += `\n`;
+      reminder += escalated
+        ? `**Ask Earth directly:** "I've asked about the ${rec.what.slice(0, 30)}... a few times - should I keep it on the list, park it, or drop it?"\n\n`
+        : `**Ask Earth:** "Hey, did you get a chance to try the ${rec.what.slice(0, 30)}... I suggested? How did it go?"\n\n`;
     });
 
     return reminder;
   }
 
+  /**
+   * Save today's follow-up reminder
+   * Writing it doesn't count as asking - items stay on it until I record
+   * the ask with markAsked(); ones asked too often move to `unknown`.
+   */
+  writeFollowUpReminder(now = new Date()) {
+    const expired = this.expireUnanswered(now);
+    if (expired.length > 0) {
+      console.log(`❔ ${expired.length} recommendation${expired.length === 1 ? '' : 's'} moved to unknown after going unanswered`);
+    }
+
+    const followupPath = join(this.config.trackerDir, 'follow-up-reminder.md');
+    const followup = this.generateFollowUpReminder(now);
+    if (!followup) {
+      // Don't leave an old list lying around
+      if (existsSync(followupPath)) rmSync(followupPath);
+      return null;
+    }
+
+    writeFileSync(followupPath, followup);
+    console.log(`📋 Follow-up reminder created: ${followupPath}`);
+    return followupPath;
+  }
+
   /**
    * Generate analysis report
    */
   generateReport() {
-    const stats = this.recommendations.stats;
+    const metrics = this.calculateMetrics();
+    const pct = rate => (rate === null ? 'n/a' : `${rate}%`);
     
     let report = `# 📊 RITA's Recommendation Analysis\n\n`;
     report += `**Generated:** ${new Date().toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n\n`;
 
     report += `## 📈 Statistics\n\n`;
-    report += `- Total Recommendations: ${stats.total}\n`;
-    report += `- Implemented: ${stats.implemented} (${stats.successRate}%)\n`;
-    report += `- Rejected: ${stats.rejected}\n`;
-    report += `- Pending: ${this.recommendations.pending.length}\n`;
-    report += `- Unknown: ${this.recommendations.unknown.length}\n\n`;
+    report += `- Total Recommendations: ${metrics.total}\n`;
+    report += `- Resolved: ${metrics.resolved}\n`;
+    report += `- Implemented: ${metrics.implemented} (${pct(metrics.implementationRate)} of resolved)\n`;
+    report += `- Partially Implemented: ${metrics.partiallyImplemented} (${pct(metrics.partialRate)} of resolved)\n`;
+    report += `- Rejected: ${metrics.rejected} (${pct(metrics.rejectionRate)} of resolved)\n`;
+    report += `- Pending: ${metrics.open.pending}\n`;
+    report += `- In Progress: ${metrics.open.in_progress}\n`;
+    report += `- Deferred: ${metrics.open.deferred}\n`;
+    report += `- Unknown: ${metrics.unknown}\n`;
+    if (metrics.timeToDecision) {
+      report += `- Time to Decision: ${metrics.timeToDecision.averageDays} days average, ${metrics.timeToDecision.medianDays} median\n`;
+    }
+    if (metrics.backlog.count > 0) {
+      report += `- Backlog Age: ${metrics.backlog.averageAgeDays} days average, oldest ${metrics.backlog.oldestAgeDays} days\n`;
+    }
+    report += `\n`;
+
+    [['🧭 By Context', metrics.byContext], ['🕐 By Time Frame', metrics.byTimeFrame]].forEach(([title, groups]) => {
+      const rows = Object.entries(groups).sort((a, b) => b[1].total - a[1].total);
+      if (rows.length === 0) return;
+      report += `## ${title}\n\n`;
+      report += `| | Total | Resolved | Implemented | Rejected |\n`;
+      report += `|---|---|---|---|---|\n`;
+      rows.forEach(([key, r]) => {
+        report += `| ${key} | ${r.total} | ${r.resolved} | ${r.implemented} (${pct(r.implementationRate)}) | ${r.rejected} (${pct(r.rejectionRate)}) |\n`;
+      });
+      report += `\n`;
+    });
+
+    const timeInStates = this.averageTimeInStates();
+    if (Object.keys(timeInStates).length > 0) {
+      report += `## ⏱️ Time in Each State\n\n`;
+      STATUSES.filter(status => timeInStates[status]).forEach(status => {
+        const { averageDays, count } = timeInStates[status];
+        report += `- ${status}: ${averageDays} days on average (${count} recommendations)\n`;
+      });
+      report += `\n`;
+    }
+
+    const calibration = this.calibrationSummary();
+    if (calibration) {
+      const signed = n => `${n > 0 ? '+' : ''}${n}`;
+      report += `## 🎯 Prediction Calibration\n\n`;
+      report += `- Measured outcomes: ${calibration.count}\n`;
+      report += `- Mean error: ${signed(calibration.meanError)} points `;
+      report += calibration.meanError > 0 ? `(I tend to underestimate)\n` : calibration.meanError < 0 ? `(I tend to overestimate)\n` : `(no bias)\n`;
+      report += `- Mean absolute error: ${calibration.meanAbsoluteError} points\n`;
+      report += `- Within ±${CALIBRATION_TOLERANCE}: ${calibration.withinTolerance} of ${calibration.count}\n\n`;
+      const months = Object.entries(calibration.overTime);
+      if (months.length > 1) {
+        report += `| Month | Measured | Mean error | Mean absolute error |\n`;
+        report += `|---|---|---|---|\n`;
+        months.forEach(([month, m]) => {
+          report += `| ${month} | ${m.count} | ${signed(m.meanError)} | ${m.meanAbsoluteError} |\n`;
+        });
+        report += `\n`;
+      }
+    }
 
-    if (stats.total > 0) {
+    if (metrics.resolved > 0) {
       report += `## 🎯 Success Analysis\n\n`;
       
-      if (stats.successRate >= 70) {
+      if (metrics.implementationRate >= 70) {
         report += `✅ **Strong track record!** My recommendations are resonating with Earth.\n\n`;
-      } else if (stats.successRate >= 50) {
+      } else if (metrics.implementationRate >= 50) {
         report += `⚠️ **Good, but room for improvement.** Need to better understand priorities.\n\n`;
       } else {
         report += `🔧 **Needs calibration.** I should ask more questions before suggesting.\n\n`;
@@ -237,11 +925,20 @@ class RecommendationTracker {
       }
 
       // Find patterns in rejected recommendations
-      const rejected = this.recommendations.rejected;
-      if (rejected.length > 0) {
+      const rejections = collectRejections(this.getAll());
+      if (rejections.length > 0) {
+        const themes = clusterRejections(rejections);
         report += `### What to Improve:\n`;
-        report += `- ${rejected.length} recommendations didn't resonate\n`;
-        report += `- Common reasons: ${this.analyzeRejections(rejected)}\n\n`;
+        report += `- ${rejections.length} recommendation${rejections.length === 1 ? '' : 's'} didn't resonate\n\n`;
+        themes.slice(0, 3).forEach(theme => {
+          const trend = theme.trend === 'steady' ? '' : ` · ${theme.trend}: ${theme.recent} in the last 30 days vs ${theme.earlier} before`;
+          report += `**${theme.label}** — ${theme.count}× (${Math.round((theme.count / rejections.length) * 100)}%)${trend}\n`;
+          theme.examples.forEach(quote => { report += `- _"${quote}"_\n`; });
+          report += `\n→ ${theme.guidance}\n\n`;
+        });
+        if (themes.length > 3) {
+          report += `_Also: ${themes.slice(3).map(t => `${t.label} (${t.count})`).join(', ')}_\n\n`;
+        }
       }
     }
 
@@ -250,8 +947,11 @@ class RecommendationTracker {
       report += `## ⏳ Pending Follow-Up\n\n`;
       report += `${this.recommendations.pending.length} recommendations awaiting feedback:\n\n`;
       
+      const index = new EntityIndex({ sessions: new TrendAnalyzer(this.config).sessions });
       this.recommendations.pending.slice(0, 5).forEach(rec => {
-        report += `- ${rec.what.slice(0, 50)}... (${new Date(rec.timestamp).toLocaleDateString()})\n`;
+        report += `- ${rec.what.slice(0, 50)}... (${new Date(rec.timestamp).toLocaleDateString()})`;
+        const from = index.interactionsFor(rec.id).find(link => link.relation === 'produced');
+        report += from ? ` — from ${from.interaction.type}: ${from.interaction.topic}\n` : `\n`;
       });
       
       if (this.recommendations.pending.length > 5) {
@@ -271,76 +971,42 @@ class RecommendationTracker {
     report += `---\n`;
     report += `*Tracking recommendations helps me learn what actually helps Earth 💙*\n`;
 
-    const reportPath = join(TRACKER_DIR, 'analysis-report.md');
+    const reportPath = join(this.config.trackerDir, 'analysis-report.md');
     writeFileSync(reportPath, report);
 
     console.log(`✅ Analysis report saved: ${reportPath}`);
     return report;
   }
 
-  analyzeRejections(rejected) {
-    const reasons = rejected.map(r => r.earthResponse).filter(Boolean);
-    if (reasons.length === 0) return 'No feedback recorded';
-    
-    // Simple frequency analysis
-    const common = {};
-    reasons.forEach(r => {
-      const key = r.toLowerCase().slice(0, 20);
-      common[key] = (common[key] || 0) + 1;
+  /**
+   * Seed example recommendations (idempotent - existing ones are skipped)
+   */
+  seed() {
+    const existing = this.getAll();
+
+    let added = 0;
+    DEMO_RECOMMENDATIONS.forEach(demo => {
+      if (existing.some(r => r.what === demo.what)) return;
+      const id = this.add(demo.what, demo.context, demo.rationale, demo.expectedOutcome, demo.followupDate, null, demo.expectedImpact);
+      if (demo.resolved) {
+        this.updateStatus(id, demo.resolved.status, demo.resolved.earthResponse, demo.resolved.actualOutcome);
+        if (demo.resolved.measurement) this.recordOutcome(id, demo.resolved.measurement);
+      }
+      added++;
     });
-    
-    return Object.entries(common)
-      .sort((a, b) => b[1] - a[1])[0][0] + '...';
+    console.log(`🌱 Seeded ${added} example recommendations`);
+    return added;
   }
 
   /**
-   * Run the tracker
+   * Run the tracker over recorded recommendations
    */
   run() {
     console.log('📋 RITA Recommendation Tracker\n');
     console.log('Analyzing my recommendation history...\n');
 
-    // Add some example recommendations from today's session
-    this.add(
-      'Create Daily Agent Swarm for business ideation',
-      'Earth wanted new ideas and automation',
-      'Multiple AI agents generate diverse ideas daily, evaluated and implemented automatically',
-      'Consistent innovation without manual brainstorming',
-      '2026-02-05'
-    );
-
-    this.add(
-      'Build Etsy SEO Mastery study report',
-      'Earth learning about digital product business',
-      'Comprehensive SEO guide specifically for Etsy digital sellers',
-      'Better understanding of SEO strategy for Asobo Creations',
-      '2026-02-06'
-    );
-
-    this.add(
-      'Implement Coquette Constellations coloring book',
-      'Winner of today\'s agent swarm',
-      'Create 20-page coloring book merging coquette + celestial aesthetics',
-      'Valentine\'s Day product launch with trend alignment',
-      '2026-02-07'
-    );
-
-    // Mark first one as implemented since we did it
-    this.updateStatus(
-      this.recommendations.pending[0].id,
-      'implemented',
-      'Earth loved it!',
-      'Successfully created and deployed the agent swarm system'
-    );
-
     this.generateReport();
-
-    const followup = this.generateFollowUpReminder();
-    if (followup) {
-      const followupPath = join(TRACKER_DIR, 'follow-up-reminder.md');
-      writeFileSync(followupPath, followup);
-      console.log(`📋 Follow-up reminder created: ${followupPath}`);
-    }
+    this.writeFollowUpReminder();
 
     console.log('\n💙 Tracking complete. I\'m learning what helps Earth most.');
   }
@@ -349,6 +1015,7 @@ class RecommendationTracker {
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const tracker = new RecommendationTracker();
+  if (process.argv.includes('--seed')) tracker.seed();
   tracker.run();
 }
 
@@ -0,0 +1,194 @@
+/**
+ * RITA's Rejection Analysis
+ * Groups Earth's reasons for saying no into themes I can act on
+ *
+ * What it does:
+ * - Normalizes free-text rejection reasons
+ * - Sorts them into known themes (timing, cost, effort, not a priority, already done)
+ * - Clusters the rest by shared keywords
+ * - Counts each theme, keeps example quotes and compares recent vs earlier months
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Theme rules - each matching pattern adds one point to its theme
+export const REJECTION_THEMES = {
+  timing: {
+    label: 'Timing',
+    patterns: [
+      /\bnot (?:right )?now\b/, /\blater\b/, /\bbusy\b/, /\b(?:bad|wrong) time\b/, /\btiming\b/,
+      /\btoo (?:soon|early|late)\b/, /\bnext (?:week|month|year|season)\b/, /\bno time\b/,
+      /\bafter (?:the|my|this)\b/, /\bdeadline\b/, /\bmaybe (?:someday|one day)\b/
+    ],
+    guidance: 'Check what Earth is focused on this week before suggesting, and offer a date to revisit instead of "now".'
+  },
+  cost: {
+    label: 'Cost',
+    patterns: [
+      /\bcosts?\b/, /\bcostly\b/, /\bexpensive\b/, /\bpric(?:e|ey|ing)\b/, /\bmoney\b/, /\bbudget\b/,
+      /\bafford\b/, /\bfees?\b/, /\bsubscriptions?\b/, /\bpaid\b/, /\bpay(?:ing)? for\b/
+    ],
+    guidance: 'Lead with free or cheap options and state the cost up front.'
+  },
+  effort: {
+    label: 'Effort',
+    patterns: [
+      /\beffort\b/, /\btoo much (?:work|time)\b/, /\b(?:too )?complicated\b/, /\bcomplex\b/, /\bhard\b/,
+      /\bdifficult\b/, /\boverwhelm(?:ing|ed)?\b/, /\btime[- ]consuming\b/, /\btakes too long\b/,
+      /\blearning curve\b/, /\bhassle\b/, /\btoo many steps\b/
+    ],
+    guidance: 'Break it down: suggest a first step that takes under 30 minutes, and offer to do the heavy lifting.'
+  },
+  not_priority: {
+    label: 'Not a priority',
+    patterns: [
+      /\bnot (?:a |my |the )?priority\b/, /\bprioriti[sz]/, /\bnot (?:that )?important\b/, /\bnot interested\b/,
+      /\bdon'?t care\b/, /\bdoesn'?t matter\b/, /\bfocus(?:ing|ed)? on\b/, /\bother things\b/,
+      /\bnot relevant\b/, /\b(?:don'?t|do not) (?:need|want)\b/, /\bnot (?:needed|necessary)\b/
+    ],
+    guidance: 'Tie suggestions to the goals Earth is working on right now, and ask before proposing a new project.'
+  },
+  already_done: {
+    label: 'Already done',
+    patterns: [
+      /\balready (?:done|did|have|doing|tried|set up|using|built|made)\b/, /\b(?:done|did|tried) (?:that|this|it) (?:already|before)\b/,
+      /\bhave (?:that|this|one) already\b/, /\balready exists?\b/
+    ],
+    guidance: 'Check the knowledge base and recent sessions for what Earth already has before recommending.'
+  }
+};
+
+export const OTHER_GUIDANCE = 'Ask Earth a follow-up question - I don\'t understand this "no" well enough yet.';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'i', 'im', 'it', 'its', 'this', 'that', 'to', 'for', 'of', 'in',
+  'on', 'is', 'was', 'be', 'my', 'me', 'we', 'you', 'just', 'so', 'with', 'at', 'not', 'no', 'dont',
+  'do', 'did', 'have', 'has', 'had', 'really', 'very', 'too', 'would', 'will', 'can', 'about', 'there'
+]);
+
+// Reasons sharing at least this share of keywords end up in the same cluster
+const SIMILARITY_THRESHOLD = 0.34;
+
+export function normalizeReason(reason) {
+  return String(reason || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[^\w\s'-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function keywords(normalized) {
+  return new Set(
+    normalized
+      .replace(/'/g, '')
+      .split(/[\s-]+/)
+      // Crude stemming so "listings" and "listing" match
+      .map(word => word.replace(/(?:ing|ed|es|s)$/, ''))
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+function similarity(a, b) {
+  const shared = [...a].filter(word => b.has(word)).length;
+  const union = new Set([...a, ...b]).size;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * The best matching theme for one reason, or null
+ */
+export function classifyReason(reason) {
+  const normalized = normalizeReason(reason);
+  let best = null;
+  Object.entries(REJECTION_THEMES).forEach(([theme, spec]) => {
+    const score = spec.patterns.filter(pattern => pattern.test(normalized)).length;
+    if (score > 0 && (!best || score > best.score)) {
+      best = { theme, score };
+    }
+  });
+  return best?.theme || null;
+}
+
+/**
+ * Every rejection on record: { id, what, reason, at }
+ * Taken from status history, so recommendations reopened later still count.
+ */
+export function collectRejections(recommendations) {
+  return recommendations.flatMap(rec =>
+    (rec.history || [])
+      .filter(event => event.to === 'rejected')
+      .map(event => ({
+        id: rec.id,
+        what: rec.what,
+        reason: event.earthResponse || event.note || null,
+        at: event.at
+      }))
+  );
+}
+
+/**
+ * Cluster rejections into themes
+ * Returns [{ theme, label, count, examples, guidance, recent, earlier, trend }],
+ * biggest first. `recent` counts the last `windowDays`, `earlier` the window before.
+ */
+export function clusterRejections(rejections, { now = new Date(), windowDays = 30, examples = 2 } = {}) {
+  const clusters = {};
+  const add = (theme, label, guidance, rejection) => {
+    clusters[theme] = clusters[theme] || { theme, label, guidance, items: [] };
+    clusters[theme].items.push(rejection);
+  };
+
+  // Reasons no rule recognizes are grouped with each other by shared keywords
+  const unmatched = [];
+  rejections.forEach(rejection => {
+    if (!rejection.reason) {
+      add('no_feedback', 'No feedback given', OTHER_GUIDANCE, rejection);
+      return;
+    }
+    const theme = classifyReason(rejection.reason);
+    if (theme) {
+      const spec = REJECTION_THEMES[theme];
+      add(theme, spec.label, spec.guidance, rejection);
+    } else {
+      unmatched.push({ rejection, keywords: keywords(normalizeReason(rejection.reason)) });
+    }
+  });
+
+  const adHoc = [];
+  unmatched.forEach(entry => {
+    const cluster = adHoc.find(c => similarity(c.keywords, entry.keywords) >= SIMILARITY_THRESHOLD);
+    if (cluster) {
+      cluster.entries.push(entry);
+      entry.keywords.forEach(word => cluster.keywords.add(word));
+    } else {
+      adHoc.push({ keywords: new Set(entry.keywords), entries: [entry] });
+    }
+  });
+  adHoc.forEach((cluster, i) => {
+    // Label by the keyword most of the cluster's reasons share
+    const counts = {};
+    cluster.entries.forEach(entry => entry.keywords.forEach(word => { counts[word] = (counts[word] || 0) + 1; }));
+    const top = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+    cluster.entries.forEach(entry => add(`other_${i + 1}`, top ? `Other: "${top}"` : 'Other', OTHER_GUIDANCE, entry.rejection));
+  });
+
+  const recentStart = now.getTime() - windowDays * DAY_MS;
+  const earlierStart = recentStart - windowDays * DAY_MS;
+  return Object.values(clusters)
+    .map(({ items, ...cluster }) => {
+      const times = items.map(item => new Date(item.at).getTime());
+      const recent = times.filter(t => t >= recentStart).length;
+      const earlier = times.filter(t => t >= earlierStart && t < recentStart).length;
+      return {
+        ...cluster,
+        count: items.length,
+        examples: items.filter(item => item.reason).slice(-examples).map(item => item.reason),
+        recent,
+        earlier,
+        trend: recent > earlier ? 'rising' : recent < earlier ? 'falling' : 'steady'
+      };
+    })
+    .sort((a, b) => b.count - a.count || b.recent - a.recent);
+}
@@ -0,0 +1,100 @@
+/**
+ * Follow-up scheduling tests: snoozing, escalation and expiry
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import RecommendationTracker from '../src/followup.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-followup-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+const on = date => new Date(`${date}T09:00:00Z`);
+
+function trackerWith(...followupDates) {
+  const tracker = new RecommendationTracker({ root });
+  const ids = followupDates.map((date, i) =>
+    tracker.add(`Recommendation ${i + 1}`, 'context', 'rationale', 'outcome', date)
+  );
+  return { tracker, ids };
+}
+
+test('a snoozed follow-up stays off the list until its new date', () => {
+  const { tracker, ids: [id] } = trackerWith('2026-03-01');
+  assert.equal(tracker.getFollowUps(on('2026-03-01')).length, 1);
+
+  const rec = tracker.snooze(id, { days: 5 }, on('2026-03-01'));
+  assert.equal(rec.followupDate, '2026-03-06');
+  assert.equal(rec.followUp.state, 'snoozed');
+  assert.equal(tracker.getFollowUps(on('2026-03-05')).length, 0);
+  assert.equal(tracker.getFollowUps(on('2026-03-06')).length, 1);
+});
+
+test('an item left overdue escalates without ever being asked', () => {
+  const { tracker, ids: [overdue, fresh] } = trackerWith('2026-03-01', '2026-03-07');
+
+  const [early] = tracker.getFollowUps(on('2026-03-03'));
+  assert.equal(tracker.unanswered(early, on('2026-03-03')), 0);
+  assert.equal(early.followUp.escalated, false);
+
+  // Two awaitDays cycles overdue - escalated, and listed first
+  const due = tracker.getFollowUps(on('2026-03-07'));
+  assert.deepEqual(due.map(rec => rec.id), [overdue, fresh]);
+  assert.equal(due[0].followUp.escalated, true);
+  assert.equal(due[1].followUp.escalated, false);
+  assert.match(tracker.generateFollowUpReminder(on('2026-03-07')), /🔥 Recommendation 1/);
+});
+
+test('snoozing keeps the cycles already missed', () => {
+  const { tracker, ids: [id] } = trackerWith('2026-03-01');
+  tracker.snooze(id, { days: 3 }, on('2026-03-04'));
+
+  const [rec] = tracker.getFollowUps(on('2026-03-07'));
+  assert.equal(rec.followUp.missed, 1);
+  assert.equal(tracker.unanswered(rec, on('2026-03-07')), 1);
+  assert.equal(tracker.unanswered(rec, on('2026-03-10')), 2);
+});
+
+test('asking resets the wait, and each ask counts toward escalation', () => {
+  const { tracker, ids: [id] } = trackerWith('2026-03-01');
+  let rec = tracker.markAsked(id, on('2026-03-01'));
+  assert.equal(rec.followupDate, '2026-03-04');
+  assert.equal(rec.followUp.escalated, false);
+  assert.equal(tracker.getFollowUps(on('2026-03-03')).length, 0);
+
+  rec = tracker.markAsked(id, on('2026-03-04'));
+  assert.equal(rec.followUp.asked, 2);
+  assert.equal(rec.followUp.escalated, true);
+});
+
+test('an item that stays overdue long enough moves to unknown', () => {
+  const { tracker, ids: [id] } = trackerWith('2026-03-01');
+  assert.equal(tracker.expireUnanswered(on('2026-03-12')).length, 0);
+
+  tracker.writeFollowUpReminder(on('2026-03-13'));
+  const rec = tracker.getAll().find(r => r.id === id);
+  assert.equal(rec.status, 'unknown');
+  assert.equal(rec.history.at(-1).note, 'No answer after 4 follow-ups');
+});
+
+test('an item asked too often moves to unknown once the last wait is over', () => {
+  const { tracker, ids: [id] } = trackerWith('2026-03-01');
+  ['2026-03-01', '2026-03-04', '2026-03-07', '2026-03-10'].forEach(date => tracker.markAsked(id, on(date)));
+
+  assert.equal(tracker.expireUnanswered(on('2026-03-12')).length, 0);
+  assert.deepEqual(tracker.expireUnanswered(on('2026-03-13')).map(rec => rec.id), [id]);
+  assert.equal(new RecommendationTracker({ root }).getAll()[0].status, 'unknown');
+});
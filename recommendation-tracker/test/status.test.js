@@ -0,0 +1,97 @@
+/**
+ * Status tests: validated transitions, history and time in each state
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import RecommendationTracker, { statusAt } from '../src/followup.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-status-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+function newRecommendation() {
+  const tracker = new RecommendationTracker({ root });
+  const id = tracker.add('Build the Etsy SEO study report', 'context', 'rationale', 'outcome', '2026-03-01');
+  return { tracker, id };
+}
+
+test('every move is kept in the history and the record changes lists', () => {
+  const { tracker, id } = newRecommendation();
+  tracker.updateStatus(id, 'in_progress', null, null, 'Started on it');
+  tracker.updateStatus(id, 'implemented', 'Earth loved it', 'Report written');
+
+  const reloaded = new RecommendationTracker({ root });
+  const rec = reloaded.getAll().find(r => r.id === id);
+  assert.equal(rec.status, 'implemented');
+  assert.deepEqual(reloaded.recommendations.implemented.map(r => r.id), [id]);
+  assert.equal(reloaded.recommendations.pending.length, 0);
+  assert.deepEqual(rec.history.map(event => [event.from, event.to, event.note]), [
+    [null, 'pending', 'created'],
+    ['pending', 'in_progress', 'Started on it'],
+    ['in_progress', 'implemented', 'Earth loved it']
+  ]);
+  assert.equal(rec.followUp, null);
+});
+
+test('moves the transition table does not allow are refused', () => {
+  const { tracker, id } = newRecommendation();
+  tracker.updateStatus(id, 'implemented', 'Done', null);
+
+  assert.equal(tracker.updateStatus(id, 'pending', null, null), undefined);
+  assert.equal(tracker.updateStatus(id, 'bogus', null, null), undefined);
+  const rec = tracker.getAll().find(r => r.id === id);
+  assert.equal(rec.status, 'implemented');
+  assert.equal(rec.history.length, 2);
+});
+
+test('deferring reschedules the follow-up for the long term', () => {
+  const { tracker, id } = newRecommendation();
+  const rec = tracker.updateStatus(id, 'deferred', null, null, 'Not this month');
+  assert.deepEqual(rec.followUp, tracker.newFollowUp());
+  assert.equal(rec.followupDate, tracker.defaultFollowUpDate('long_term', rec.updatedAt));
+});
+
+test('time in each state adds up from the history', () => {
+  const { tracker } = newRecommendation();
+  const rec = {
+    timestamp: '2026-03-01T00:00:00.000Z',
+    history: [
+      { from: null, to: 'pending', at: '2026-03-01T00:00:00.000Z' },
+      { from: 'pending', to: 'in_progress', at: '2026-03-03T00:00:00.000Z' },
+      { from: 'in_progress', to: 'implemented', at: '2026-03-08T00:00:00.000Z' }
+    ]
+  };
+  assert.deepEqual(tracker.timeInStates(rec), { pending: 2, in_progress: 5 });
+  assert.equal(tracker.timeToDecision(rec), 7);
+  assert.equal(statusAt(rec, '2026-02-28'), null);
+  assert.equal(statusAt(rec, '2026-03-03'), 'in_progress');
+  assert.equal(statusAt(rec, '2026-03-09'), 'implemented');
+});
+
+test('records from before history existed get one rebuilt', () => {
+  mkdirSync(join(root, 'recommendation-tracker'));
+  writeFileSync(join(root, 'recommendation-tracker', 'recommendations.json'), JSON.stringify({
+    implemented: [{
+      id: 'old', timestamp: '2026-02-01T00:00:00.000Z', updatedAt: '2026-02-04T00:00:00.000Z',
+      what: 'Old one', status: 'implemented', earthResponse: 'Nice'
+    }]
+  }));
+  const [rec] = new RecommendationTracker({ root }).getAll();
+  assert.deepEqual(rec.history, [
+    { from: null, to: 'pending', at: '2026-02-01T00:00:00.000Z', note: 'created' },
+    { from: 'pending', to: 'implemented', at: '2026-02-04T00:00:00.000Z', note: 'Nice' }
+  ]);
+});
@@ -0,0 +1,261 @@
+/**
+ * RITA's Rollup Reports
+ * Weekly and monthly reviews that pull all four tools together
+ *
+ * What it does:
+ * - Combines performance sessions, recommendation changes, new insights
+ *   and knowledge base additions for one calendar week or month
+ * - Calls out highlights and regressions against the previous period
+ * - Lists follow-ups still open at the end of the period
+ * - Works for any past period, so old weeks/months can be backfilled
+ *   (statuses are replayed from history, archived knowledge still counts)
+ */
+
+import { writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { loadConfig } from '../../shared/src/config.js';
+import TrendAnalyzer, { today, shiftDate, successRate } from '../../self-monitor/src/trends.js';
+import RecommendationTracker, { BACKLOG_STATUSES, RESOLVED_STATUSES, statusAt } from '../../recommendation-tracker/src/followup.js';
+import LearningLog from '../../learning-log/src/insights.js';
+import MemoryCurator from '../../memory-curator/src/organizer.js';
+
+export const ROLLUP_PERIODS = ['week', 'month'];
+
+/**
+ * The calendar week (Mon-Sun) or month containing `date`
+ */
+export function periodRange(period, date = today()) {
+  if (period === 'week') {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const start = shiftDate(date, -((day + 6) % 7));
+    return { period, start, end: shiftDate(start, 6), label: `Week of ${start}`, key: start };
+  }
+  if (period === 'month') {
+    const [year, month] = date.split('-').map(Number);
+    const start = `${date.slice(0, 7)}-01`;
+    const end = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+    const label = new Date(`${start}T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    return { period, start, end, label, key: date.slice(0, 7) };
+  }
+  throw new Error(`Unknown period "${period}" (expected ${ROLLUP_PERIODS.join(', ')})`);
+}
+
+function inRange(timestamp, range) {
+  if (!timestamp) return false;
+  const date = String(timestamp).split('T')[0];
+  return date >= range.start && date <= range.end;
+}
+
+class RollupReport {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.trends = new TrendAnalyzer(this.config);
+    this.tracker = new RecommendationTracker(this.config);
+    this.learningLog = new LearningLog(this.config);
+    this.curator = new MemoryCurator(this.config);
+  }
+
+  /**
+   * Every knowledge base entry ever filed, archived ones included
+   */
+  allKnowledge() {
+    return [this.curator.categories, this.curator.archivedCategories()].flatMap(categories =>
+      Object.entries(categories).flatMap(([category, items]) => items.map(item => ({ ...item, category })))
+    );
+  }
+
+  /**
+   * Gather everything that happened in one period
+   */
+  collect(range) {
+    const sessions = this.trends.sessionsBetween(range.start, range.end);
+    const interactions = sessions.flatMap(s => s.interactions);
+    const recommendations = this.tracker.getAll();
+
+    return {
+      range,
+      sessions,
+      interactions,
+      successRate: successRate(interactions),
+      failed: interactions.filter(i => i.outcome === 'failed'),
+      recommendationsMade: recommendations.filter(r => inRange(r.timestamp, range)),
+      // Decisions only - starting work or deferring isn't Earth making a call
+      decisions: recommendations.flatMap(rec =>
+        rec.history
+          .filter(event => RESOLVED_STATUSES.includes(event.to) && inRange(event.at, range))
+          .map(event => ({ ...event, what: rec.what }))
+      ),
+      // As they stood at the end of the period, not as they are now
+      openFollowUps: recommendations
+        .map(rec => ({ ...rec, status: statusAt(rec, range.end) }))
+        .filter(rec => BACKLOG_STATUSES.includes(rec.status)),
+      insights: this.learningLog.insights.filter(i => inRange(i.timestamp, range)),
+      knowledge: this.allKnowledge().filter(item => inRange(item.timestamp, range))
+    };
+  }
+
+  /**
+   * Compare a period with the one before it
+   */
+  compare(current, previous) {
+    const highlights = [];
+    const regressions = [];
+
+    if (current.successRate !== null && previous.successRate !== null) {
+      const delta = Number((current.successRate - previous.successRate).toFixed(1));
+      if (delta > 0) highlights.push(`Success rate up ${delta} pts (${previous.successRate}% → ${current.successRate}%)`);
+      if (delta < 0) regressions.push(`Success rate down ${Math.abs(delta)} pts (${previous.successRate}% → ${current.successRate}%)`);
+    }
+
+    const implemented = current.decisions.filter(change => change.to === 'implemented');
+    if (implemented.length > 0) {
+      highlights.push(`${implemented.length} recommendation${implemented.length === 1 ? '' : 's'} implemented`);
+    }
+    const rejected = current.decisions.filter(change => change.to === 'rejected');
+    if (rejected.length > 0) {
+      regressions.push(`${rejected.length} recommendation${rejected.length === 1 ? '' : 's'} rejected`);
+    }
+
+    const bigInsights = current.insights.filter(i => i.impact >= 8);
+    if (bigInsights.length > 0) {
+      highlights.push(`${bigInsights.length} high-impact insight${bigInsights.length === 1 ? '' : 's'} (8+/10)`);
+    }
+
+    if (current.failed.length > previous.failed.length) {
+      regressions.push(`${current.failed.length} failed interactions (was ${previous.failed.length})`);
+    }
+    if (current.interactions.length < previous.interactions.length) {
+      regressions.push(`Fewer interactions logged (${current.interactions.length} vs ${previous.interactions.length})`);
+    }
+
+    return { highlights, regressions };
+  }
+
+  /**
+   * Generate the rollup for the week/month containing `date`
+   */
+  generateReport(period = 'week', date = today()) {
+    const range = periodRange(period, date);
+    const previousRange = periodRange(period, shiftDate(range.start, -1));
+    const current = this.collect(range);
+    const previous = this.collect(previousRange);
+    const { highlights, regressions } = this.compare(current, previous);
+    const title = period === 'week' ? 'Weekly' : 'Monthly';
+
+    let report = `# 🗓️ RITA's ${title} Rollup — ${range.label}\n\n`;
+    report += `**Period:** ${range.start} → ${range.end}\n`;
+    report += `**Generated:** ${new Date().toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n\n`;
+
+    report += `## 📊 At a Glance\n\n`;
+    report += `- Sessions logged: ${current.sessions.length}\n`;
+    report += `- Interactions: ${current.interactions.length}`;
+    report += current.successRate === null ? `\n` : ` (${current.successRate}% successful)\n`;
+    report += `- Recommendations made: ${current.recommendationsMade.length}\n`;
+    report += `- Recommendation decisions: ${current.decisions.length}\n`;
+    report += `- New insights: ${current.insights.length}\n`;
+    report += `- Knowledge base additions: ${current.knowledge.length}\n\n`;
+
+    report += `## 🌟 Highlights\n\n`;
+    if (highlights.length > 0) {
+      highlights.forEach(h => { report += `- ${h}\n`; });
+    } else {
+      report += `_Nothing stood out this ${period}._\n`;
+    }
+    report += `\n`;
+
+    report += `## ⚠️ Regressions\n\n`;
+    if (regressions.length > 0) {
+      regressions.forEach(r => { report += `- ${r}\n`; });
+    } else {
+      report += `_No regressions compared with the previous ${period}._ 💙\n`;
+    }
+    report += `\n`;
+
+    if (current.decisions.length > 0) {
+      report += `## 📋 Recommendation Decisions\n\n`;
+      current.decisions.forEach(change => {
+        report += `- **${change.from} → ${change.to}:** ${change.what}`;
+        report += change.note ? ` — "${change.note}"\n` : `\n`;
+      });
+      report += `\n`;
+    }
+
+    if (current.insights.length > 0) {
+      report += `## 💡 New Insights\n\n`;
+      [...current.insights].sort((a, b) => b.impact - a.impact).forEach(i => {
+        report += `- **${i.category}** (${i.impact}/10): ${i.insight}\n`;
+      });
+      report += `\n`;
+    }
+
+    if (current.knowledge.length > 0) {
+      report += `## 🧠 Knowledge Base Additions\n\n`;
+      current.knowledge.forEach(item => {
+        report += `- **${item.topic}** (${item.category}): ${item.insight}\n`;
+      });
+      report += `\n`;
+    }
+
+    report += `## ⏳ Open Follow-Ups\n\n`;
+    if (current.openFollowUps.length > 0) {
+      current.openFollowUps.forEach(r => {
+        const due = r.followupDate && r.followupDate <= range.end ? `, follow up since ${r.followupDate}` : '';
+        report += `- ${r.what} (${r.status}${due})\n`;
+      });
+    } else {
+      report += `_All caught up!_\n`;
+    }
+    report += `\n`;
+
+    report += `---\n`;
+    report += `*${title} rollup generated from all four tools*\n`;
+
+    if (!existsSync(this.config.reportsDir)) {
+      mkdirSync(this.config.reportsDir, { recursive: true });
+    }
+    const reportPath = join(this.config.reportsDir, `rollup-${period}-${range.key}.md`);
+    writeFileSync(reportPath, report);
+
+    console.log(`✅ ${title} rollup saved: ${reportPath}`);
+    return report;
+  }
+
+  /**
+   * Generate every period from the earliest record up to `until`
+   */
+  backfill(period = 'week', until = today()) {
+    const dates = [
+      ...this.trends.sessions.map(s => s.date),
+      ...this.tracker.getAll().map(r => r.timestamp),
+      ...this.learningLog.insights.map(i => i.timestamp),
+      ...this.allKnowledge().map(item => item.timestamp)
+    ].filter(Boolean).map(t => String(t).split('T')[0]).sort();
+
+    if (dates.length === 0) {
+      console.log('Nothing recorded yet - no rollups to backfill');
+      return 0;
+    }
+
+    let count = 0;
+    let range = periodRange(period, dates[0]);
+    while (range.start <= until) {
+      this.generateReport(period, range.start);
+      range = periodRange(period, shiftDate(range.end, 1));
+      count++;
+    }
+    return count;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const period = process.argv.includes('--month') ? 'month' : 'week';
+  const rollup = new RollupReport();
+  if (process.argv.includes('--backfill')) {
+    rollup.backfill(period);
+  } else {
+    rollup.generateReport(period);
+  }
+}
+
+export default RollupReport;
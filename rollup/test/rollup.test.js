@@ -0,0 +1,95 @@
+/**
+ * Rollup tests - backfilled periods see things as they were then
+ *
+ *   npm test
+ */
+
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import RollupReport, { periodRange } from '../src/rollup.js';
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+function recommendation(id, what, history) {
+  const last = history[history.length - 1];
+  return {
+    id,
+    timestamp: history[0].at,
+    what,
+    status: last.to,
+    followupDate: '2026-01-08',
+    history
+  };
+}
+
+/**
+ * A workspace with one recommendation that was open in the first week of
+ * January and implemented in February, one made later, and one archived entry
+ */
+function workspace() {
+  const root = mkdtempSync(join(tmpdir(), 'rita-rollup-'));
+  const implemented = recommendation('r1', 'Build the Etsy SEO study report', [
+    { from: null, to: 'pending', at: '2026-01-05T10:00:00.000Z', note: 'created' },
+    { from: 'pending', to: 'in_progress', at: '2026-01-06T10:00:00.000Z', note: null },
+    { from: 'in_progress', to: 'implemented', at: '2026-02-10T10:00:00.000Z', note: 'Done' }
+  ]);
+  const later = recommendation('r2', 'Try a Valentine launch', [
+    { from: null, to: 'pending', at: '2026-01-20T10:00:00.000Z', note: 'created' }
+  ]);
+
+  mkdirSync(join(root, 'recommendation-tracker'));
+  writeFileSync(join(root, 'recommendation-tracker', 'recommendations.json'), JSON.stringify({
+    in_progress: [], pending: [later], implemented: [implemented]
+  }));
+  mkdirSync(join(root, 'knowledge-base'));
+  writeFileSync(join(root, 'knowledge-base', 'archive.json'), JSON.stringify({
+    entries: [{
+      id: 'k1', topic: 'Report length', insight: 'Earth liked long reports', category: 'earth_preferences',
+      timestamp: '2026-01-06T12:00:00.000Z', confidence: 2, archivedAt: '2026-03-01T00:00:00.000Z', archiveReason: 'stale'
+    }]
+  }));
+  return { root, cleanup: () => rmSync(root, { recursive: true, force: true }) };
+}
+
+test('follow-ups are the ones open at the end of the period, even if closed since', () => {
+  const ws = workspace();
+  try {
+    const rollup = new RollupReport({ root: ws.root });
+    const january = rollup.collect(periodRange('week', '2026-01-07'));
+    assert.deepEqual(january.openFollowUps.map(rec => [rec.id, rec.status]), [['r1', 'in_progress']]);
+
+    const february = rollup.collect(periodRange('week', '2026-02-11'));
+    assert.deepEqual(february.openFollowUps.map(rec => [rec.id, rec.status]), [['r2', 'pending']]);
+  } finally {
+    ws.cleanup();
+  }
+});
+
+test('archived knowledge still counts as added in its period', () => {
+  const ws = workspace();
+  try {
+    const rollup = new RollupReport({ root: ws.root });
+    const { knowledge } = rollup.collect(periodRange('week', '2026-01-07'));
+    assert.deepEqual(knowledge.map(item => [item.id, item.category]), [['k1', 'earth_preferences']]);
+  } finally {
+    ws.cleanup();
+  }
+});
+
+test('only calls Earth made count as decisions', () => {
+  const ws = workspace();
+  try {
+    const rollup = new RollupReport({ root: ws.root });
+    // Starting work on it in January isn't a decision
+    assert.equal(rollup.collect(periodRange('week', '2026-01-07')).decisions.length, 0);
+    const [decision] = rollup.collect(periodRange('week', '2026-02-11')).decisions;
+    assert.deepEqual([decision.from, decision.to, decision.what], ['in_progress', 'implemented', 'Build the Etsy SEO study report']);
+  } finally {
+    ws.cleanup();
+  }
+});
@@ -2,8 +2,14 @@
 # RITA's Personal Toolkit - Daily Run
 # Runs at 11 PM UTC (end of day reflection)
 
-TOOLKIT_DIR="/root/.openclaw/workspace/rita-toolkit"
-LOG_FILE="$TOOLKIT_DIR/logs/daily-$(date +%Y-%m-%d).log"
+# Code lives next to this script; data lives in RITA_HOME (defaults to the same place)
+TOOLKIT_DIR="$(cd "$(dirname "$0")" && pwd)"
+RITA_HOME="${RITA_HOME:-$TOOLKIT_DIR}"
+LOG_DIR="${RITA_LOGS_DIR:-$RITA_HOME/logs}"
+LOG_FILE="$LOG_DIR/daily-$(date +%Y-%m-%d).log"
+export RITA_HOME
+
+mkdir -p "$LOG_DIR"
 DATE=$(date +%Y-%m-%d)
 
 echo "========================================" >> "$LOG_FILE"
@@ -26,14 +32,16 @@ node recommendation-tracker/src/followup.js >> "$LOG_FILE" 2>&1
 echo "[$(date)] Running learning log..." >> "$LOG_FILE"
 node learning-log/src/insights.js >> "$LOG_FILE" 2>&1
 
+# Send today's reminders/summaries to whatever channels rita.config.json sets up
+echo "[$(date)] Sending notifications..." >> "$LOG_FILE"
+node notifier/src/notify.js follow-up daily-summary >> "$LOG_FILE" 2>&1 || true
+
 # Commit to GitHub
 echo "[$(date)] Committing to GitHub..." >> "$LOG_FILE"
+cd "$RITA_HOME"
 git add . >> "$LOG_FILE" 2>&1
 git commit -m "📊 Daily reflection - $DATE" >> "$LOG_FILE" 2>&1 || true
 git push >> "$LOG_FILE" 2>&1 || true
 
 echo "[$(date)] Daily reflection complete!" >> "$LOG_FILE"
 echo "========================================" >> "$LOG_FILE"
-
-# Optional: Send summary notification (can integrate with Telegram, etc.)
-# curl -X POST ...
\ No newline at end of file
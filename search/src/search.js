@@ -0,0 +1,72 @@
+/**
+ * RITA's Search
+ * One ranked search over everything the toolkit remembers
+ *
+ * What it does:
+ * - Indexes knowledge base entries (archived ones too), insights,
+ *   recommendations and session interactions together
+ * - Ranks with BM25, matches stemmed words, phrases, field filters and
+ *   date ranges (see shared/src/search.js for the query syntax)
+ * - Says which tool each hit came from
+ *
+ *   node search/src/search.js "etsy keywords" category:business after:2026-01-01
+ */
+
+import { loadConfig } from '../../shared/src/config.js';
+import {
+  SearchIndex, knowledgeDocuments, insightDocuments, recommendationDocuments, interactionDocuments
+} from '../../shared/src/search.js';
+import TrendAnalyzer from '../../self-monitor/src/trends.js';
+import RecommendationTracker from '../../recommendation-tracker/src/followup.js';
+import LearningLog from '../../learning-log/src/insights.js';
+import MemoryCurator from '../../memory-curator/src/organizer.js';
+
+class RitaSearch {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.curator = new MemoryCurator(this.config);
+  }
+
+  /**
+   * Every searchable record, freshly read from disk
+   */
+  documents() {
+    return [
+      ...knowledgeDocuments(this.curator.categories),
+      ...knowledgeDocuments(this.curator.archivedCategories()),
+      ...insightDocuments(new LearningLog(this.config).insights),
+      ...recommendationDocuments(new RecommendationTracker(this.config).getAll()),
+      ...interactionDocuments(new TrendAnalyzer(this.config).sessions)
+    ];
+  }
+
+  /**
+   * Ranked results: [{ id, tool, kind, date, title, text, fields, record, score }]
+   * Searches that find nothing are logged with the knowledge base's searches
+   * (they point at knowledge gaps).
+   */
+  search(query, { limit = 20 } = {}) {
+    const results = new SearchIndex(this.documents()).search(query, { limit });
+    this.curator.logSearch(query, results.length);
+    return results;
+  }
+}
+
+/**
+ * One line per hit: score, where it came from, when, and what it says
+ */
+export function formatResult(result) {
+  const date = result.date ? String(result.date).split('T')[0] : '—';
+  const text = result.text ? ` — ${result.text.length > 100 ? `${result.text.slice(0, 99)}…` : result.text}` : '';
+  return `${result.score.toFixed(2).padStart(6)}  [${result.tool}] ${result.kind}  ${date}  ${result.title || '(untitled)'}${text}\n        ${result.id}`;
+}
+
+// Run if called directly: node search/src/search.js <query>
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const query = process.argv.slice(2).join(' ');
+  const results = new RitaSearch().search(query);
+  if (results.length === 0) console.log(`Nothing found for "${query}"`);
+  results.forEach(result => console.log(formatResult(result)));
+}
+
+export default RitaSearch;
@@ -3,70 +3,120 @@
  * Tracks my own effectiveness as an assistant
  * 
  * What it does:
- * - Logs interactions and outcomes
+ * - Logs interactions and outcomes, linked to the recommendations and
+ *   insights they produced or used
  * - Tracks recommendation success rates
  * - Monitors response quality metrics
  * - Identifies areas for improvement
  * - Generates self-assessment reports
  */
 
-import { writeFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { writeFileSync, existsSync, mkdirSync, readFileSync, readdirSync } from 'fs';
 import { join } from 'path';
+import { loadConfig } from '../../shared/src/config.js';
+import { createId, reassignDuplicateIds } from '../../shared/src/records.js';
+import { withLock, readJson, writeJsonAtomic } from '../../shared/src/storage.js';
+import { EntityIndex } from '../../shared/src/entities.js';
+import RecommendationTracker, { BACKLOG_STATUSES } from '../../recommendation-tracker/src/followup.js';
+import LearningLog from '../../learning-log/src/insights.js';
+import TrendAnalyzer from './trends.js';
 
-const DATA_DIR = '/root/.openclaw/workspace/rita-toolkit/data';
-const REPORTS_DIR = '/root/.openclaw/workspace/rita-toolkit/reports';
+const SESSION_FILE = /^session-\d{4}-\d{2}-\d{2}\.json$/;
+const SESSION_LISTS = ['interactions', 'recommendations', 'learnings'];
 
 class PerformanceMonitor {
-  constructor() {
-    this.sessionData = {
-      date: new Date().toISOString().split('T')[0],
-      interactions: [],
-      recommendations: [],
-      learnings: [],
-      mood: 'positive'
-    };
+  constructor(options = {}) {
+    this.config = loadConfig(options);
     this.ensureDirs();
+    this.sessionData = this.loadSession(new Date().toISOString().split('T')[0]);
   }
 
   ensureDirs() {
-    [DATA_DIR, REPORTS_DIR].forEach(dir => {
+    [this.config.dataDir, this.config.reportsDir].forEach(dir => {
       if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
     });
   }
 
+  sessionPath(date = this.sessionData.date) {
+    return join(this.config.dataDir, `session-${date}.json`);
+  }
+
+  /**
+   * Load the day's session so far (other processes may have logged to it)
+   */
+  loadSession(date) {
+    const empty = {
+      date,
+      interactions: [],
+      recommendations: [],
+      learnings: [],
+      mood: 'positive'
+    };
+    return { ...empty, ...readJson(this.sessionPath(date), {}) };
+  }
+
   /**
    * Log an interaction with Earth
+   * `produced` and `used` are IDs of recommendations/insights it led to or
+   * drew on. Returns the interaction's ID, or null if a link is unknown.
    */
-  logInteraction(type, topic, outcome, notes = '') {
+  logInteraction(type, topic, outcome, notes = '', { produced = [], used = [] } = {}) {
+    if (!this.checkLinks([...produced, ...used])) return null;
+
+    const id = createId();
     this.sessionData.interactions.push({
+      id,
       timestamp: new Date().toISOString(),
       type, // 'research', 'coding', 'brainstorming', 'emotional_support', etc.
       topic,
       outcome, // 'successful', 'partial', 'needs_followup', 'failed'
-      notes
+      notes,
+      produced,
+      used
     });
+    this.saveSession();
+    this.applyUsedInsights(used);
+    return id;
   }
 
   /**
    * Log a recommendation I made
+   * It's registered in the recommendation tracker under the same ID, which
+   * owns its status from then on. Nothing is written (null) if
+   * `interactionId` isn't an interaction I logged.
    */
-  logRecommendation(what, context, expectedImpact, timeFrame) {
+  logRecommendation(what, context, expectedImpact, timeFrame, interactionId = null) {
+    if (interactionId && !this.findInteraction(interactionId)) return null;
+    const id = createId();
+    const timestamp = new Date().toISOString();
     this.sessionData.recommendations.push({
-      timestamp: new Date().toISOString(),
+      id,
+      timestamp,
       what,
       context,
       expectedImpact,
-      timeFrame, // 'immediate', 'short_term', 'long_term'
-      status: 'pending', // 'pending', 'implemented', 'rejected', 'unknown'
-      earthReaction: null // to be filled later
+      timeFrame // 'immediate', 'short_term', 'long_term'
+    });
+    this.saveSession();
+
+    new RecommendationTracker(this.config).add(what, context, '', expectedImpact, null, timeFrame, null, {
+      id,
+      origin: { tool: 'self-monitor', session: this.sessionData.date, interaction: interactionId }
     });
+    if (interactionId) this.linkInteraction(interactionId, { produced: [id] });
+    return id;
   }
 
   /**
    * Log something I learned
+   * It's registered in the learning log under the same ID (or, like a
+   * recommendation, not at all if `interactionId` is unknown).
    */
-  logLearning(topic, source, insight, applicability) {
+  logLearning(topic, source, insight, applicability, { category = 'general', impact = 5, interactionId = null } = {}) {
+    if (interactionId && !this.findInteraction(interactionId)) return null;
+    const id = createId();
     this.sessionData.learnings.push({
+      id,
       timestamp: new Date().toISOString(),
       topic,
       source, // 'conversation', 'research', 'mistake', 'observation'
@@ -74,6 +124,122 @@ class PerformanceMonitor {
       applicability, // 'immediate', 'future', 'theoretical'
       used: false
     });
+    this.saveSession();
+
+    new LearningLog(this.config).logInsight(category, insight, source, impact, [topic], {
+      id,
+      origin: { tool: 'self-monitor', session: this.sessionData.date, interaction: interactionId }
+    });
+    if (interactionId) this.linkInteraction(interactionId, { produced: [id] });
+    return id;
+  }
+
+  /**
+   * Everything in every tool, for following links
+   */
+  entityIndex() {
+    return new EntityIndex({
+      sessions: new TrendAnalyzer(this.config).sessions,
+      recommendations: new RecommendationTracker(this.config).getAll(),
+      insights: new LearningLog(this.config).insights
+    });
+  }
+
+  checkLinks(ids, index = ids.length > 0 && this.entityIndex()) {
+    const unknown = ids.filter(id => {
+      const entity = index.get(id);
+      return !entity || entity.kind === 'interaction';
+    });
+    if (unknown.length > 0) {
+      console.log(`❌ Not a recommendation or insight: ${unknown.join(', ')}`);
+      return false;
+    }
+    return true;
+  }
+
+  // Using an insight in an interaction is applying it
+  applyUsedInsights(ids) {
+    if (ids.length === 0) return;
+    const log = new LearningLog(this.config);
+    ids.filter(id => log.insights.some(i => i.id === id)).forEach(id => log.markApplied(id));
+  }
+
+  /**
+   * A logged interaction (on any day), or null
+   */
+  findInteraction(interactionId, index = this.entityIndex()) {
+    const entity = index.get(interactionId);
+    if (!entity || entity.kind !== 'interaction') {
+      console.log(`❌ Interaction ${interactionId} not found`);
+      return null;
+    }
+    return entity;
+  }
+
+  /**
+   * Add links to an interaction already logged (on any day)
+   */
+  linkInteraction(interactionId, { produced = [], used = [] } = {}) {
+    const index = this.entityIndex();
+    const entity = this.findInteraction(interactionId, index);
+    if (!entity) return null;
+    if (!this.checkLinks([...produced, ...used], index)) return null;
+
+    const path = this.sessionPath(entity.date);
+    let interaction;
+    withLock(path, () => {
+      const session = readJson(path);
+      interaction = session.interactions.find(i => i.id === interactionId);
+      interaction.produced = [...new Set([...(interaction.produced || []), ...produced])];
+      interaction.used = [...new Set([...(interaction.used || []), ...used])];
+      writeJsonAtomic(path, session);
+      if (entity.date === this.sessionData.date) this.sessionData = session;
+    });
+    this.applyUsedInsights(used.filter(id => !(entity.record.used || []).includes(id)));
+    return interaction;
+  }
+
+  /**
+   * Save today's raw session data
+   * Merges with what's on disk under a lock, so several processes can log
+   * to the same day without losing each other's records.
+   */
+  saveSession() {
+    const dataPath = this.sessionPath();
+    withLock(dataPath, () => {
+      const merged = this.loadSession(this.sessionData.date);
+      SESSION_LISTS.forEach(list => {
+        const known = new Set(merged[list].map(r => r.id));
+        this.sessionData[list].forEach(record => {
+          if (!known.has(record.id)) merged[list].push(record);
+        });
+        merged[list].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      });
+      writeJsonAtomic(dataPath, merged);
+      this.sessionData = merged;
+    });
+    return dataPath;
+  }
+
+  /**
+   * Give every record in every saved session a unique ID
+   */
+  repair({ dryRun = false } = {}) {
+    let reassigned = 0;
+    readdirSync(this.config.dataDir).filter(f => SESSION_FILE.test(f)).forEach(file => {
+      const path = join(this.config.dataDir, file);
+      withLock(path, () => {
+        const session = JSON.parse(readFileSync(path, 'utf8'));
+        const changes = reassignDuplicateIds(SESSION_LISTS.flatMap(list => session[list] || []));
+        if (changes.length > 0 && !dryRun) {
+          writeJsonAtomic(path, session);
+        }
+        reassigned += changes.length;
+      });
+    });
+
+    console.log(`🔧 Sessions: ${reassigned} IDs assigned${dryRun ? ' (dry run)' : ''}`);
+    return { reassigned };
   }
 
   /**
@@ -82,6 +248,10 @@ class PerformanceMonitor {
   calculateMetrics() {
     const interactions = this.sessionData.interactions;
     const recommendations = this.sessionData.recommendations;
+
+    // The tracker owns a recommendation's status; older sessions kept their own
+    const tracked = new Map(new RecommendationTracker(this.config).getAll().map(r => [r.id, r]));
+    const statusOf = r => tracked.get(r.id)?.status || r.status;
     
     return {
       totalInteractions: interactions.length,
@@ -90,7 +260,8 @@ class PerformanceMonitor {
         ? ((interactions.filter(i => i.outcome === 'successful').length / interactions.length) * 100).toFixed(1)
         : 0,
       recommendationsMade: recommendations.length,
-      recommendationsPending: recommendations.filter(r => r.status === 'pending').length,
+      // Still open - pending, in progress or deferred
+      recommendationsPending: recommendations.filter(r => BACKLOG_STATUSES.includes(statusOf(r))).length,
       learningsToday: this.sessionData.learnings.length,
       interactionTypes: this.categorizeInteractions(interactions),
       moodTrend: this.analyzeMood(interactions)
@@ -174,6 +345,9 @@ class PerformanceMonitor {
    * Generate daily self-report
    */
   generateReport() {
+    // Pick up everything logged today, from any process
+    this.saveSession();
+
     const metrics = this.calculateMetrics();
     const improvements = this.generateImprovements(metrics);
     const date = new Date().toLocaleString('en-US', { timeZone: 'UTC' });
@@ -194,6 +368,22 @@ class PerformanceMonitor {
     });
     report += `\n`;
 
+    const trends = new TrendAnalyzer(this.config);
+    report += trends.formatSection(trends.analyze(this.sessionData.date));
+
+    const linked = this.sessionData.interactions.filter(i => (i.produced?.length || 0) + (i.used?.length || 0) > 0);
+    if (linked.length > 0) {
+      const index = this.entityIndex();
+      report += `## 🔗 What Today's Work Led To\n\n`;
+      linked.forEach(interaction => {
+        report += `- **${interaction.type} — ${interaction.topic}** (${interaction.outcome})\n`;
+        index.linksOf(interaction).forEach(link => {
+          report += `  - ${link.relation} ${index.describe(link.id)}\n`;
+        });
+      });
+      report += `\n`;
+    }
+
     if (improvements.length > 0) {
       report += `## 🔧 Areas for Improvement\n\n`;
       improvements.forEach((imp, i) => {
@@ -226,13 +416,9 @@ class PerformanceMonitor {
     report += `*Self-assessment generated automatically*\n`;
 
     // Save report
-    const reportPath = join(REPORTS_DIR, `self-assessment-${this.sessionData.date}.md`);
+    const reportPath = join(this.config.reportsDir, `self-assessment-${this.sessionData.date}.md`);
     writeFileSync(reportPath, report);
 
-    // Save raw data
-    const dataPath = join(DATA_DIR, `session-${this.sessionData.date}.json`);
-    writeFileSync(dataPath, JSON.stringify(this.sessionData, null, 2));
-
     console.log(`✅ Self-assessment saved: ${reportPath}`);
     console.log(`📊 Today's success rate: ${metrics.successRate}%`);
     
@@ -248,9 +434,7 @@ class PerformanceMonitor {
     console.log('🤖 RITA Performance Monitor\n');
     console.log('Analyzing today\'s interactions...\n');
     
-    // In a real implementation, this would pull from actual session data
-    // For now, create a template for manual logging
-    
+    // Today's session already holds everything logged via `rita log ...`
     this.generateReport();
     
     console.log('\n💙 Remember: Growth is continuous. Every day is a chance to be better.');
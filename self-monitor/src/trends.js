@@ -0,0 +1,271 @@
+/**
+ * RITA's Trend Analyzer
+ * Looks across every saved session to see whether I'm actually improving
+ *
+ * What it does:
+ * - Rolling 7 and 30 day success rates
+ * - Interaction type mix over time
+ * - Outcome streaks
+ * - Week-over-week deltas
+ * - Weekly and monthly trend reports
+ */
+
+import { writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { loadConfig } from '../../shared/src/config.js';
+import { readJson } from '../../shared/src/storage.js';
+
+const SESSION_FILE = /^session-(\d{4}-\d{2}-\d{2})\.json$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PERIODS = {
+  week: { days: 7, label: 'Weekly' },
+  month: { days: 30, label: 'Monthly' }
+};
+
+export function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+export function successRate(interactions) {
+  if (interactions.length === 0) return null;
+  const successful = interactions.filter(i => i.outcome === 'successful').length;
+  return Number(((successful / interactions.length) * 100).toFixed(1));
+}
+
+function formatRate(rate) {
+  return rate === null ? 'n/a' : `${rate}%`;
+}
+
+function formatDelta(delta, unit = '') {
+  if (delta === null) return 'n/a';
+  const sign = delta > 0 ? '+' : '';
+  return `${sign}${delta}${unit}`;
+}
+
+class TrendAnalyzer {
+  constructor(options = {}) {
+    this.config = loadConfig(options);
+    this.sessions = this.loadSessions();
+  }
+
+  /**
+   * Every saved session, oldest first
+   */
+  loadSessions() {
+    if (!existsSync(this.config.dataDir)) return [];
+    return readdirSync(this.config.dataDir)
+      .map(file => file.match(SESSION_FILE))
+      .filter(Boolean)
+      .map(([file, date]) => ({
+        interactions: [],
+        recommendations: [],
+        learnings: [],
+        ...readJson(join(this.config.dataDir, file), {}),
+        date
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Sessions dated from..to (inclusive)
+   */
+  sessionsBetween(from, to) {
+    return this.sessions.filter(s => s.date >= from && s.date <= to);
+  }
+
+  /**
+   * Sessions from the `days` days ending on `asOf` (inclusive)
+   */
+  sessionsInWindow(days, asOf = today()) {
+    return this.sessionsBetween(shiftDate(asOf, -(days - 1)), asOf);
+  }
+
+  rollingSuccessRate(days, asOf = today()) {
+    const interactions = this.sessionsInWindow(days, asOf).flatMap(s => s.interactions);
+    return { days, interactions: interactions.length, successRate: successRate(interactions) };
+  }
+
+  /**
+   * Interaction type counts per day (or per ISO week start)
+   */
+  typeDistribution(days = 30, asOf = today(), bucket = 'day') {
+    const buckets = {};
+    this.sessionsInWindow(days, asOf).forEach(session => {
+      const key = bucket === 'week' ? this.weekStart(session.date) : session.date;
+      buckets[key] = buckets[key] || {};
+      session.interactions.forEach(i => {
+        buckets[key][i.type] = (buckets[key][i.type] || 0) + 1;
+      });
+    });
+    return buckets;
+  }
+
+  weekStart(date) {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return shiftDate(date, -((day + 6) % 7));
+  }
+
+  /**
+   * Runs of identical outcomes, in the order interactions happened
+   */
+  outcomeStreaks(asOf = today()) {
+    const interactions = this.sessions
+      .filter(s => s.date <= asOf)
+      .flatMap(s => s.interactions)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    const longest = {};
+    let current = null;
+    interactions.forEach(i => {
+      if (current && current.outcome === i.outcome) {
+        current.length++;
+      } else {
+        current = { outcome: i.outcome, length: 1, since: i.timestamp };
+      }
+      longest[i.outcome] = Math.max(longest[i.outcome] || 0, current.length);
+    });
+
+    // Days in a row (ending at the latest session) with a success rate of 80%+
+    let goodDays = 0;
+    for (const session of this.sessions.filter(s => s.date <= asOf).reverse()) {
+      const rate = successRate(session.interactions);
+      if (rate === null) continue;
+      if (rate < 80) break;
+      goodDays++;
+    }
+
+    return { current, longest, goodDays };
+  }
+
+  /**
+   * This week vs the week before
+   */
+  weekOverWeek(asOf = today()) {
+    const thisWeek = this.sessionsInWindow(7, asOf).flatMap(s => s.interactions);
+    const lastWeek = this.sessionsInWindow(7, shiftDate(asOf, -7)).flatMap(s => s.interactions);
+
+    const thisRate = successRate(thisWeek);
+    const lastRate = successRate(lastWeek);
+    const countTypes = list => list.reduce((types, i) => {
+      types[i.type] = (types[i.type] || 0) + 1;
+      return types;
+    }, {});
+
+    const thisTypes = countTypes(thisWeek);
+    const lastTypes = countTypes(lastWeek);
+    const typeDeltas = {};
+    new Set([...Object.keys(thisTypes), ...Object.keys(lastTypes)]).forEach(type => {
+      typeDeltas[type] = (thisTypes[type] || 0) - (lastTypes[type] || 0);
+    });
+
+    return {
+      thisWeek: { interactions: thisWeek.length, successRate: thisRate },
+      lastWeek: { interactions: lastWeek.length, successRate: lastRate },
+      successRateDelta: thisRate === null || lastRate === null
+        ? null
+        : Number((thisRate - lastRate).toFixed(1)),
+      interactionDelta: thisWeek.length - lastWeek.length,
+      typeDeltas
+    };
+  }
+
+  /**
+   * Everything at once, as of a given day
+   */
+  analyze(asOf = today()) {
+    return {
+      asOf,
+      sessions: this.sessions.filter(s => s.date <= asOf).length,
+      rolling7: this.rollingSuccessRate(7, asOf),
+      rolling30: this.rollingSuccessRate(30, asOf),
+      weekOverWeek: this.weekOverWeek(asOf),
+      streaks: this.outcomeStreaks(asOf)
+    };
+  }
+
+  /**
+   * Markdown trend section, used by the daily self-assessment too
+   */
+  formatSection(trends, heading = '##') {
+    const { rolling7, rolling30, weekOverWeek: wow, streaks } = trends;
+
+    let md = `${heading} 📈 Trends\n\n`;
+    md += `- 7-day success rate: ${formatRate(rolling7.successRate)} (${rolling7.interactions} interactions)\n`;
+    md += `- 30-day success rate: ${formatRate(rolling30.successRate)} (${rolling30.interactions} interactions)\n`;
+    md += `- Week over week: ${formatDelta(wow.successRateDelta, ' pts')} success rate, `;
+    md += `${formatDelta(wow.interactionDelta)} interactions\n`;
+
+    if (streaks.current) {
+      md += `- Current streak: ${streaks.current.length} × ${streaks.current.outcome}\n`;
+    }
+    if (streaks.longest.successful) {
+      md += `- Longest successful streak: ${streaks.longest.successful}\n`;
+    }
+    if (streaks.goodDays > 0) {
+      md += `- Days in a row at 80%+: ${streaks.goodDays}\n`;
+    }
+
+    const shifts = Object.entries(wow.typeDeltas).filter(([, delta]) => delta !== 0);
+    if (shifts.length > 0) {
+      md += `- Interaction mix shift: ${shifts.map(([type, delta]) => `${type} ${formatDelta(delta)}`).join(', ')}\n`;
+    }
+    md += `\n`;
+    return md;
+  }
+
+  /**
+   * Standalone weekly/monthly trend report
+   */
+  generateReport(period = 'week', asOf = today()) {
+    const spec = PERIODS[period];
+    if (!spec) {
+      throw new Error(`Unknown period "${period}" (expected ${Object.keys(PERIODS).join(', ')})`);
+    }
+
+    const trends = this.analyze(asOf);
+    const distribution = this.typeDistribution(spec.days, asOf, period === 'month' ? 'week' : 'day');
+
+    let report = `# 📈 RITA's ${spec.label} Trends\n\n`;
+    report += `**Period:** ${shiftDate(asOf, -(spec.days - 1))} → ${asOf}\n`;
+    report += `**Sessions on record:** ${trends.sessions}\n\n`;
+
+    report += this.formatSection(trends);
+
+    report += `## 🎯 Interaction Mix Over Time\n\n`;
+    const buckets = Object.entries(distribution).filter(([, types]) => Object.keys(types).length > 0);
+    if (buckets.length > 0) {
+      buckets.forEach(([date, types]) => {
+        const mix = Object.entries(types).map(([type, count]) => `${type} ${count}`).join(', ');
+        report += `- **${period === 'month' ? `Week of ${date}` : date}:** ${mix}\n`;
+      });
+    } else {
+      report += `_No interactions logged in this period._\n`;
+    }
+    report += `\n`;
+
+    report += `---\n`;
+    report += `*Trends generated from ${trends.sessions} saved sessions*\n`;
+
+    if (!existsSync(this.config.reportsDir)) {
+      mkdirSync(this.config.reportsDir, { recursive: true });
+    }
+    const reportPath = join(this.config.reportsDir, `trends-${period}ly-${asOf}.md`);
+    writeFileSync(reportPath, report);
+
+    console.log(`✅ ${spec.label} trends saved: ${reportPath}`);
+    return report;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const period = process.argv.includes('--month') ? 'month' : 'week';
+  new TrendAnalyzer().generateReport(period);
+}
+
+export default TrendAnalyzer;
@@ -0,0 +1,43 @@
+/**
+ * Session logging tests: records made from an interaction
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import PerformanceMonitor from '../src/performance.js';
+import RecommendationTracker from '../../recommendation-tracker/src/followup.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-monitor-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+test('a recommendation from an unknown interaction is not written anywhere', () => {
+  const monitor = new PerformanceMonitor({ root });
+  assert.equal(monitor.logRecommendation('Try the swarm', 'context', '', 'short_term', 'no-such-id'), null);
+  assert.equal(monitor.logLearning('topic', 'conversation', 'insight', 'future', { interactionId: 'no-such-id' }), null);
+
+  assert.equal(existsSync(monitor.sessionPath()), false);
+  assert.equal(new RecommendationTracker({ root }).getAll().length, 0);
+});
+
+test('a recommendation from a logged interaction is linked to it', () => {
+  const monitor = new PerformanceMonitor({ root });
+  const interaction = monitor.logInteraction('coding', 'VPS setup', 'successful');
+  const id = monitor.logRecommendation('Try the swarm', 'context', '', 'short_term', interaction);
+
+  const session = new PerformanceMonitor({ root }).sessionData;
+  assert.deepEqual(session.interactions[0].produced, [id]);
+  assert.equal(new RecommendationTracker({ root }).getAll()[0].origin.interaction, interaction);
+});
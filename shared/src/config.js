@@ -0,0 +1,75 @@
+/**
+ * RITA's Toolkit Configuration
+ * One place every tool reads its directories from
+ *
+ * Resolution order (first wins):
+ * 1. Options passed to a tool's constructor
+ * 2. Environment variables (RITA_HOME, RITA_DATA_DIR, ...)
+ * 3. The config file (RITA_CONFIG, or rita.config.json in the workspace root)
+ * 4. Defaults relative to the workspace root
+ *
+ * Relative paths are resolved against the workspace root, so a config file
+ * can say `"memoryDir": "../memory"` and still work from any clone.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, isAbsolute, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+export const REPO_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export const CONFIG_FILENAME = 'rita.config.json';
+
+// Directory keys, their env var and their default location under the root
+const DIRECTORIES = {
+  dataDir: { env: 'RITA_DATA_DIR', default: 'data' },
+  reportsDir: { env: 'RITA_REPORTS_DIR', default: 'reports' },
+  memoryDir: { env: 'RITA_MEMORY_DIR', default: 'memory' },
+  knowledgeBaseDir: { env: 'RITA_KNOWLEDGE_BASE_DIR', default: 'knowledge-base' },
+  trackerDir: { env: 'RITA_TRACKER_DIR', default: 'recommendation-tracker' },
+  learningLogDir: { env: 'RITA_LEARNING_LOG_DIR', default: 'learning-log' },
+  logsDir: { env: 'RITA_LOGS_DIR', default: 'logs' }
+};
+
+/**
+ * Read a JSON config file, or return {} when there isn't one
+ */
+export function readConfigFile(path) {
+  if (!path || !existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid config file ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Resolve the full configuration for one toolkit instance
+ *
+ * @param {object} overrides - `root`, `configFile` and any directory key
+ * @param {object} env - environment to read from (defaults to process.env)
+ */
+export function loadConfig(overrides = {}, env = process.env) {
+  // An already-resolved config can be handed straight from one tool to another
+  if (overrides.resolved) return overrides;
+
+  const initialRoot = resolve(overrides.root || env.RITA_HOME || REPO_ROOT);
+  const explicitFile = overrides.configFile || env.RITA_CONFIG;
+  const configFile = explicitFile ? resolve(explicitFile) : join(initialRoot, CONFIG_FILENAME);
+  const file = readConfigFile(configFile);
+
+  const root = overrides.root || env.RITA_HOME
+    ? initialRoot
+    : resolve(dirname(configFile), file.root || initialRoot);
+
+  const config = { ...file, root, configFile, resolved: true };
+
+  Object.entries(DIRECTORIES).forEach(([key, spec]) => {
+    const value = overrides[key] || env[spec.env] || file[key] || spec.default;
+    config[key] = isAbsolute(value) ? value : join(root, value);
+  });
+
+  return config;
+}
+
+export default loadConfig;
@@ -0,0 +1,71 @@
+/**
+ * RITA's Entity Index
+ * Follows links between records that live in different tools
+ *
+ * Recommendations (tracker), insights (learning log) and interactions
+ * (self-monitor sessions) share one ID space: a recommendation logged in the
+ * monitor has the same ID in the tracker, a learning the same ID in the
+ * insight log. Interactions point at what they produced or used:
+ *
+ *   { id, type, topic, outcome, produced: [id, ...], used: [id, ...] }
+ */
+
+export const LINK_RELATIONS = ['produced', 'used'];
+
+export class EntityIndex {
+  /**
+   * @param {object} stores - { sessions, recommendations, insights }
+   */
+  constructor({ sessions = [], recommendations = [], insights = [] } = {}) {
+    this.entities = new Map();
+    this.backlinks = new Map();
+
+    recommendations.forEach(record => this.entities.set(record.id, { kind: 'recommendation', record }));
+    insights.forEach(record => this.entities.set(record.id, { kind: 'insight', record }));
+    sessions.forEach(session => {
+      (session.interactions || []).forEach(record => {
+        this.entities.set(record.id, { kind: 'interaction', record, date: session.date });
+        LINK_RELATIONS.forEach(relation => {
+          (record[relation] || []).forEach(id => {
+            if (!this.backlinks.has(id)) this.backlinks.set(id, []);
+            this.backlinks.get(id).push({ relation, interaction: record, date: session.date });
+          });
+        });
+      });
+    });
+  }
+
+  get(id) {
+    return this.entities.get(id) || null;
+  }
+
+  /**
+   * One-line description of any record
+   */
+  describe(id) {
+    const entity = this.get(id);
+    if (!entity) return `unknown record ${id}`;
+    const { kind, record } = entity;
+    if (kind === 'recommendation') return `recommendation "${record.what}" (${record.status})`;
+    if (kind === 'insight') return `insight "${record.insight}"${record.applied ? ' (applied)' : ''}`;
+    return `interaction ${record.type} — ${record.topic} (${record.outcome})`;
+  }
+
+  /**
+   * What an interaction produced and used: [{ relation, id, kind, record }]
+   */
+  linksOf(interaction) {
+    return LINK_RELATIONS.flatMap(relation =>
+      (interaction[relation] || []).map(id => ({ relation, id, ...(this.get(id) || { kind: 'unknown', record: null }) }))
+    );
+  }
+
+  /**
+   * Interactions that produced or used a record: [{ relation, interaction, date }]
+   */
+  interactionsFor(id) {
+    return this.backlinks.get(id) || [];
+  }
+}
+
+export default EntityIndex;
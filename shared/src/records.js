@@ -0,0 +1,110 @@
+/**
+ * RITA's Record Helpers
+ * IDs and repair passes shared by every store
+ *
+ * What it does:
+ * - Generates collision-free record IDs
+ * - Collapses exact duplicate records (same content, different id/timestamp)
+ * - Collapses copies that only agree on some fields, keeping the best one
+ * - Reassigns IDs that more than one record shares
+ */
+
+import { randomUUID } from 'crypto';
+
+// Fields that differ between copies of the same record
+const VOLATILE_FIELDS = ['id', 'timestamp', 'updatedAt'];
+
+/**
+ * Create a new unique record ID
+ */
+export function createId() {
+  return randomUUID();
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content fingerprint of a record, ignoring id and timestamps
+ */
+export function contentKey(record, ignore = VOLATILE_FIELDS) {
+  const content = { ...record };
+  ignore.forEach(field => delete content[field]);
+  return stableStringify(content);
+}
+
+/**
+ * Drop exact duplicates, keeping the earliest copy of each record
+ * Returns { records, collapsed } where collapsed lists the dropped copies.
+ */
+export function collapseDuplicates(records, ignore = VOLATILE_FIELDS) {
+  const byTime = [...records].sort((a, b) =>
+    String(a.timestamp || '').localeCompare(String(b.timestamp || ''))
+  );
+
+  const seen = new Set();
+  const keep = new Set();
+  const collapsed = [];
+  byTime.forEach(record => {
+    const key = contentKey(record, ignore);
+    if (seen.has(key)) {
+      collapsed.push(record);
+      return;
+    }
+    seen.add(key);
+    keep.add(record);
+  });
+
+  return { records: records.filter(r => keep.has(r)), collapsed };
+}
+
+/**
+ * Drop records that repeat an earlier one's `fields`, whatever else differs
+ * `compare` sorts the copy to keep first. Returns { records, collapsed }
+ * where collapsed lists [{ record, kept }] - each dropped copy and the one
+ * kept in its place.
+ */
+export function collapseCopies(records, fields, compare) {
+  const keep = new Map();
+  const collapsed = [];
+  [...records].sort(compare).forEach(record => {
+    const key = stableStringify(fields.map(field => record[field] ?? null));
+    if (keep.has(key)) {
+      collapsed.push({ record, kept: keep.get(key) });
+      return;
+    }
+    keep.set(key, record);
+  });
+
+  const kept = new Set(keep.values());
+  return { records: records.filter(r => kept.has(r)), collapsed };
+}
+
+/**
+ * Give a fresh ID to every record missing one or sharing one with an
+ * earlier record. Mutates the records; returns [{ from, to }] changes.
+ */
+export function reassignDuplicateIds(records) {
+  const used = new Set();
+  const changes = [];
+  records.forEach(record => {
+    if (record.id && !used.has(record.id)) {
+      used.add(record.id);
+      return;
+    }
+    const id = createId();
+    changes.push({ from: record.id || null, to: id });
+    record.id = id;
+    used.add(id);
+  });
+  return changes;
+}
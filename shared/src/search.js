@@ -0,0 +1,284 @@
+/**
+ * RITA's Search Engine
+ * Ranked full-text search over any set of records
+ *
+ * Documents are { id, tool, kind, date, title, text, fields, record }:
+ * `title` and `text` are searched (title counts double), `fields` can be
+ * filtered on. Queries support:
+ *
+ *   etsy keywords              every word must match (stemmed: "keyword" finds "keywords")
+ *   "long-tail keywords"       exact phrase
+ *   category:business          field filter (any field in `fields`, plus tool: and kind:)
+ *   tag:business               knowledge entries tagged business (primary or not)
+ *   status:archived            knowledge that was pruned (also live, retracted, superseded)
+ *   after:2026-01-01 before:2026-02-01
+ *   date:2026-01 / date:2026-01-01..2026-01-15
+ *
+ * Results are ranked with BM25.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'is', 'are',
+  'was', 'were', 'be', 'it', 'its', 'this', 'that', 'as', 'i', 'me', 'my'
+]);
+
+// BM25 tuning - the usual values
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_WEIGHT = 2;
+
+/**
+ * Light English stemmer - strips the common inflections so "listings",
+ * "listing" and "listed" all become "list"
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+  if (/sses$/.test(w)) w = w.slice(0, -2);
+  else if (/ies$/.test(w)) w = `${w.slice(0, -3)}y`;
+  else if (/[^su]s$/.test(w)) w = w.slice(0, -1);
+
+  const hasVowel = s => /[aeiouy]/.test(s);
+  const strip = (suffix) => {
+    const base = w.slice(0, -suffix.length);
+    if (w.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+      // running -> run, planned -> plan
+      w = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+      return true;
+    }
+    return false;
+  };
+  strip('ing') || strip('ed');
+  ['ational', 'ization', 'fulness', 'ness', 'ment', 'ful', 'ly'].some(strip);
+  w = w.replace(/ise$/, 'ize');
+  // price / priced / pricing all end up as "pric"
+  if (w.length > 4 && w.endsWith('e')) w = w.slice(0, -1);
+  return w;
+}
+
+// Words that say nothing about a text's subject (search keeps most of
+// these, since they matter in phrases)
+export const FILLER_WORDS = new Set([
+  'about', 'after', 'again', 'all', 'also', 'am', 'any', 'because', 'been', 'before', 'being', 'both', 'but',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'dont', 'even', 'get', 'got', 'had', 'has', 'have', 'he', 'her',
+  'him', 'himself', 'his', 'how', 'if', 'im', 'into', 'just', 'more', 'most', 'much', 'not', 'now', 'only',
+  'other', 'our', 'out', 'over', 'rather', 'really', 'she', 'should', 'so', 'some', 'such', 'than', 'then',
+  'there', 'they', 'thing', 'too', 'up', 'very', 'was', 'we', 'what', 'when', 'where', 'which', 'while', 'who',
+  'why', 'will', 'without', 'would', 'you', 'your'
+].map(stem));
+
+/**
+ * Words in a piece of text as written, lowercased
+ */
+export function splitWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Words in a piece of text, lowercased and stemmed
+ * Stop words are dropped unless `keepStopWords` (phrase matching needs them).
+ */
+export function tokenize(text, { keepStopWords = false } = {}) {
+  return splitWords(text)
+    .filter(word => keepStopWords || !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Split a query into terms, phrases, field filters and a date range
+ */
+export function parseQuery(query) {
+  const parsed = { terms: [], phrases: [], filters: {}, from: null, to: null };
+  const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const [, field, quotedValue, value, phrase, word] = match;
+    if (field) {
+      const name = field.toLowerCase();
+      const v = (quotedValue ?? value).toLowerCase();
+      if (name === 'after') parsed.from = v;
+      else if (name === 'before') parsed.to = v;
+      else if (name === 'date') {
+        const [start, end] = v.split('..');
+        parsed.from = start || null;
+        // A bare month or day covers all of it (dates compare by prefix)
+        parsed.to = end || start || null;
+      } else {
+        (parsed.filters[name] = parsed.filters[name] || []).push(v);
+      }
+    } else if (phrase !== undefined) {
+      const tokens = tokenize(phrase, { keepStopWords: true });
+      if (tokens.length > 0) parsed.phrases.push(tokens);
+      parsed.terms.push(...tokenize(phrase));
+    } else {
+      parsed.terms.push(...tokenize(word));
+    }
+  }
+  parsed.terms = [...new Set(parsed.terms)];
+  return parsed;
+}
+
+function containsSequence(tokens, sequence) {
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    if (sequence.every((token, j) => tokens[i + j] === token)) return true;
+  }
+  return false;
+}
+
+export class SearchIndex {
+  constructor(documents = []) {
+    this.documents = [];
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+    documents.forEach(doc => this.add(doc));
+  }
+
+  /**
+   * Index one document
+   */
+  add(doc) {
+    const title = tokenize(doc.title);
+    const text = tokenize(doc.text);
+    const frequencies = new Map();
+    title.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + TITLE_WEIGHT));
+    text.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    frequencies.forEach((_, term) => this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1));
+
+    const length = title.length * TITLE_WEIGHT + text.length;
+    this.totalLength += length;
+    this.documents.push({
+      doc,
+      frequencies,
+      length,
+      // Phrases match across the title and text as written, stop words included
+      sequence: tokenize(`${doc.title || ''} . ${doc.text || ''}`, { keepStopWords: true })
+    });
+  }
+
+  matchesFilters(entry, parsed) {
+    const { doc } = entry;
+    const values = name => {
+      if (name === 'tool') return [doc.tool];
+      if (name === 'kind') return [doc.kind];
+      return [].concat(doc.fields?.[name] ?? []);
+    };
+    const filtersOk = Object.entries(parsed.filters).every(([name, wanted]) =>
+      wanted.some(w => values(name).some(v => v != null && String(v).toLowerCase().startsWith(w)))
+    );
+    if (!filtersOk) return false;
+
+    const date = doc.date ? String(doc.date) : '';
+    if (parsed.from && (!date || date < parsed.from)) return false;
+    // "before:2026-02-01" includes that whole day
+    if (parsed.to && (!date || date.slice(0, parsed.to.length) > parsed.to)) return false;
+    return true;
+  }
+
+  /**
+   * Ranked results: [{ ...document, score }], best first
+   */
+  search(query, { limit = 20 } = {}) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    const hasQuery = parsed.terms.length > 0 || parsed.phrases.length > 0;
+    const hasFilters = Object.keys(parsed.filters).length > 0 || parsed.from || parsed.to;
+    if (!hasQuery && !hasFilters) return [];
+
+    const count = this.documents.length;
+    const averageLength = count > 0 ? this.totalLength / count : 0;
+    const idf = term => {
+      const df = this.documentFrequency.get(term) || 0;
+      return Math.log(1 + (count - df + 0.5) / (df + 0.5));
+    };
+
+    return this.documents
+      .filter(entry => this.matchesFilters(entry, parsed))
+      .filter(entry => parsed.terms.every(term => entry.frequencies.has(term)))
+      .filter(entry => parsed.phrases.every(phrase => containsSequence(entry.sequence, phrase)))
+      .map(entry => {
+        const score = parsed.terms.reduce((sum, term) => {
+          const tf = entry.frequencies.get(term);
+          return sum + idf(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * entry.length / averageLength));
+        }, 0);
+        return { ...entry.doc, score: Math.round(score * 1000) / 1000 };
+      })
+      // Filter-only queries list newest first
+      .sort((a, b) => b.score - a.score || String(b.date || '').localeCompare(String(a.date || '')))
+      .slice(0, limit);
+  }
+}
+
+export default SearchIndex;
+
+/*
+ * Documents for each store. `record` is the original record.
+ */
+
+export function knowledgeDocuments(categories) {
+  return Object.entries(categories).flatMap(([category, items]) => items.map(item => ({
+    id: item.id,
+    tool: 'memory-curator',
+    kind: 'knowledge',
+    date: item.timestamp,
+    title: item.topic,
+    text: item.insight,
+    fields: {
+      category,
+      tag: item.tags || [category],
+      source: item.source,
+      confidence: item.confidence,
+      status: item.archivedAt ? 'archived' : item.retractedAt ? 'retracted' : item.supersededBy ? 'superseded' : 'live'
+    },
+    record: item
+  })));
+}
+
+export function insightDocuments(insights) {
+  return insights.map(insight => ({
+    id: insight.id,
+    tool: 'learning-log',
+    kind: 'insight',
+    date: insight.timestamp,
+    title: (insight.relatedTopics || []).join(', '),
+    text: insight.insight,
+    fields: {
+      category: insight.category,
+      source: insight.source,
+      impact: insight.impact,
+      status: insight.retiredAt ? 'obsolete' : insight.applied ? 'applied' : 'unapplied'
+    },
+    record: insight
+  }));
+}
+
+export function recommendationDocuments(recommendations) {
+  return recommendations.map(rec => ({
+    id: rec.id,
+    tool: 'recommendation-tracker',
+    kind: 'recommendation',
+    date: rec.timestamp,
+    title: rec.what,
+    text: [...new Set([
+      rec.context, rec.rationale, rec.expectedOutcome, rec.earthResponse, rec.actualOutcome,
+      ...(rec.history || []).map(event => event.note)
+    ].filter(Boolean))].join('. '),
+    fields: { category: rec.context, status: rec.status, timeframe: rec.timeFrame },
+    record: rec
+  }));
+}
+
+export function interactionDocuments(sessions) {
+  return sessions.flatMap(session => (session.interactions || []).map(interaction => ({
+    id: interaction.id,
+    tool: 'self-monitor',
+    kind: 'interaction',
+    date: interaction.timestamp || session.date,
+    title: interaction.topic,
+    text: interaction.notes || '',
+    fields: { category: interaction.type, type: interaction.type, outcome: interaction.outcome },
+    record: interaction
+  })));
+}
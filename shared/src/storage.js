@@ -0,0 +1,97 @@
+/**
+ * RITA's Storage Helpers
+ * Safe JSON reads and writes for files several processes touch at once
+ *
+ * What it does:
+ * - Takes an exclusive lock file around a read-modify-write
+ * - Writes JSON atomically (temp file + rename) so readers never see half a file
+ * - Merges one process's record changes into what's on disk, so concurrent
+ *   writers don't drop each other's records
+ */
+
+import { closeSync, existsSync, openSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'fs';
+
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run fn while holding an exclusive lock on path
+ * Locks left behind by a crashed process are cleared after 30s.
+ */
+export function withLock(path, fn, { timeoutMs = LOCK_TIMEOUT_MS, staleMs = STALE_LOCK_MS } = {}) {
+  const lockPath = `${path}.lock`;
+  const start = Date.now();
+
+  for (;;) {
+    try {
+      closeSync(openSync(lockPath, 'wx'));
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    try {
+      if (Date.now() - statSync(lockPath).mtimeMs > staleMs) {
+        rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch {
+      // Lock vanished between open and stat - just try again
+      continue;
+    }
+
+    if (Date.now() - start > timeoutMs) {
+      throw new Error(`Timed out waiting for lock on ${path}`);
+    }
+    sleep(20);
+  }
+
+  try {
+    return fn();
+  } finally {
+    rmSync(lockPath, { force: true });
+  }
+}
+
+export function readJson(path, fallback = null) {
+  if (!existsSync(path)) return fallback;
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * `indent` 0 writes compact JSON (for big indexes nobody reads by hand)
+ */
+export function writeJsonAtomic(path, data, { indent = 2 } = {}) {
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(data, null, indent || undefined));
+  renameSync(tmpPath, path);
+}
+
+/**
+ * What a store's records looked like when loaded, for mergeRecords()
+ */
+export function snapshot(records) {
+  return new Map(records.map(record => [record.id, JSON.stringify(record)]));
+}
+
+/**
+ * Apply my changes since `base` (a snapshot()) to the records on disk now
+ * Records I added or changed win; records I removed go; everything else
+ * stays as it is on disk, including what other processes added or changed
+ * in the meantime. Call it holding the store's lock.
+ */
+export function mergeRecords(disk, mine, base) {
+  const merged = new Map(disk.map(record => [record.id, record]));
+  const kept = new Set(mine.map(record => record.id));
+  base.forEach((_, id) => {
+    if (!kept.has(id)) merged.delete(id);
+  });
+  mine.forEach(record => {
+    if (base.get(record.id) !== JSON.stringify(record)) merged.set(record.id, record);
+  });
+  return [...merged.values()];
+}
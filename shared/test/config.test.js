@@ -0,0 +1,66 @@
+/**
+ * Config tests: where each directory comes from
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { REPO_ROOT, loadConfig } from '../src/config.js';
+
+let root;
+
+beforeEach(() => {
+  root = mkdtempSync(join(tmpdir(), 'rita-config-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+const writeConfig = (path, config) => writeFileSync(path, JSON.stringify(config));
+
+test('defaults live under the repo root', () => {
+  const config = loadConfig({}, {});
+  assert.equal(config.root, REPO_ROOT);
+  assert.equal(config.knowledgeBaseDir, join(REPO_ROOT, 'knowledge-base'));
+  assert.equal(config.trackerDir, join(REPO_ROOT, 'recommendation-tracker'));
+});
+
+test('options beat environment variables, which beat the config file', () => {
+  writeConfig(join(root, 'rita.config.json'), { memoryDir: 'from-file', logsDir: 'file-logs', reportsDir: 'file-reports' });
+  const env = { RITA_HOME: root, RITA_MEMORY_DIR: 'from-env', RITA_LOGS_DIR: '/var/log/rita' };
+  const config = loadConfig({ memoryDir: 'from-options' }, env);
+
+  assert.equal(config.memoryDir, join(root, 'from-options'));
+  assert.equal(config.logsDir, '/var/log/rita');
+  assert.equal(config.reportsDir, join(root, 'file-reports'));
+  assert.equal(config.dataDir, join(root, 'data'));
+});
+
+test('relative paths in a config file resolve against the workspace root', () => {
+  const workspace = join(root, 'workspace');
+  mkdirSync(join(root, 'etc'));
+  const configFile = join(root, 'etc', 'rita.json');
+  writeConfig(configFile, { root: '../workspace', memoryDir: '../memory', links: { maxLinks: 2 } });
+
+  const config = loadConfig({}, { RITA_CONFIG: configFile });
+  assert.equal(config.root, workspace);
+  assert.equal(config.memoryDir, join(root, 'memory'));
+  assert.equal(config.learningLogDir, join(workspace, 'learning-log'));
+  // Tool sections come through as they are
+  assert.deepEqual(config.links, { maxLinks: 2 });
+});
+
+test('a resolved config is passed between tools untouched', () => {
+  const config = loadConfig({ root }, {});
+  assert.equal(loadConfig(config, { RITA_HOME: '/elsewhere' }), config);
+});
+
+test('a broken config file is reported with its path', () => {
+  writeFileSync(join(root, 'rita.config.json'), '{ nope');
+  assert.throws(() => loadConfig({ root }, {}), /Invalid config file .*rita\.config\.json/);
+});
@@ -0,0 +1,96 @@
+/**
+ * Repair tests on records from the old Date.now() IDs, which collided
+ * whenever the nightly reseeding wrote several records in one millisecond
+ *
+ *   npm test
+ */
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { collapseCopies, collapseDuplicates, reassignDuplicateIds } from '../src/records.js';
+import RecommendationTracker from '../../recommendation-tracker/src/followup.js';
+
+let root;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  root = mkdtempSync(join(tmpdir(), 'rita-records-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+const SWARM = { what: 'Create Daily Agent Swarm', context: 'Earth wanted new ideas', rationale: 'Diverse ideas', expectedOutcome: 'Innovation' };
+const SEO = { what: 'Build Etsy SEO study report', context: 'Etsy business', rationale: 'SEO guide', expectedOutcome: 'Better SEO' };
+
+// Two nights of reseeding, each writing both recommendations in the same millisecond
+function collided() {
+  return {
+    pending: [
+      { id: '1770764401526', timestamp: '2026-02-10T23:00:01.526Z', ...SWARM, status: 'pending' },
+      { id: '1770764401526', timestamp: '2026-02-10T23:00:01.526Z', ...SEO, status: 'pending' }
+    ],
+    implemented: [
+      {
+        id: '1770233271280', timestamp: '2026-02-04T19:27:51.280Z', updatedAt: '2026-02-04T19:27:51.281Z',
+        ...SWARM, status: 'implemented', earthResponse: 'Earth loved it!'
+      }
+    ]
+  };
+}
+
+test('collapseDuplicates drops copies that differ only by id and timestamps', () => {
+  const records = [
+    { id: '1', timestamp: '2026-02-05T00:00:00Z', insight: 'a' },
+    { id: '1', timestamp: '2026-02-04T00:00:00Z', insight: 'a' },
+    { id: '1', timestamp: '2026-02-04T00:00:00Z', insight: 'b' }
+  ];
+  const { records: kept, collapsed } = collapseDuplicates(records);
+  assert.deepEqual(kept, [records[1], records[2]]);
+  assert.deepEqual(collapsed, [records[0]]);
+});
+
+test('reassignDuplicateIds gives every record after the first a fresh ID', () => {
+  const { pending } = collided();
+  const changes = reassignDuplicateIds(pending);
+  assert.equal(pending[0].id, '1770764401526');
+  assert.notEqual(pending[1].id, '1770764401526');
+  assert.deepEqual(changes, [{ from: '1770764401526', to: pending[1].id }]);
+});
+
+test('collapseCopies keeps the copy compare ranks first and says what replaced each', () => {
+  const { pending, implemented } = collided();
+  const all = [...pending, ...implemented];
+  const { records, collapsed } = collapseCopies(all, ['what', 'context'], (a, b) =>
+    Number(b.status === 'implemented') - Number(a.status === 'implemented')
+  );
+  assert.deepEqual(records, [pending[1], implemented[0]]);
+  assert.deepEqual(collapsed, [{ record: pending[0], kept: implemented[0] }]);
+});
+
+test('repair collapses copies across statuses and keeps their histories', () => {
+  mkdirSync(join(root, 'recommendation-tracker'));
+  writeFileSync(join(root, 'recommendation-tracker', 'recommendations.json'), JSON.stringify(collided()));
+
+  const result = new RecommendationTracker({ root }).repair();
+  assert.equal(result.collapsed, 1);
+  assert.deepEqual(result.reassigned, []);
+
+  const recs = new RecommendationTracker({ root }).getAll();
+  assert.deepEqual(recs.map(rec => [rec.id, rec.status, rec.what]), [
+    ['1770764401526', 'pending', SEO.what],
+    ['1770233271280', 'implemented', SWARM.what]
+  ]);
+  assert.deepEqual(recs[1].collapsedCopies, [{
+    id: '1770764401526',
+    timestamp: '2026-02-10T23:00:01.526Z',
+    status: 'pending',
+    history: [{ from: null, to: 'pending', at: '2026-02-10T23:00:01.526Z', note: 'created' }]
+  }]);
+  // Its own history is untouched
+  assert.deepEqual(recs[1].history.map(event => event.to), ['pending', 'implemented']);
+});
@@ -0,0 +1,68 @@
+/**
+ * Search tests: stemming, query syntax and BM25 ranking
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SearchIndex, { parseQuery, stem, tokenize } from '../src/search.js';
+
+const DOCUMENTS = [
+  {
+    id: 'seo', tool: 'memory-curator', kind: 'knowledge', date: '2026-01-10T00:00:00.000Z',
+    title: 'Etsy SEO', text: 'Long-tail keywords win on Etsy listings', fields: { category: 'business' }
+  },
+  {
+    id: 'tags', tool: 'memory-curator', kind: 'knowledge', date: '2026-02-03T00:00:00.000Z',
+    title: 'Etsy tags', text: 'Fill all thirteen tags; a keyword in every tag', fields: { category: 'business' }
+  },
+  {
+    id: 'vps', tool: 'learning-log', kind: 'insight', date: '2026-02-20T00:00:00.000Z',
+    title: 'Server setup', text: 'The keyword list lives on the VPS', fields: { category: 'technical' }
+  }
+];
+
+const index = () => new SearchIndex(DOCUMENTS);
+const ids = results => results.map(result => result.id);
+
+test('inflections stem to the same term', () => {
+  assert.equal(stem('listings'), stem('listing'));
+  assert.equal(stem('listed'), 'list');
+  assert.equal(stem('priced'), stem('pricing'));
+  assert.deepEqual(tokenize("The seller's 13 keywords"), ['seller', '13', 'keyword']);
+  assert.deepEqual(tokenize('the keywords', { keepStopWords: true }), ['the', 'keyword']);
+});
+
+test('queries split into terms, phrases, filters and a date range', () => {
+  assert.deepEqual(parseQuery('Keywords "long-tail keywords" category:Business tag:"digital products" after:2026-01-01'), {
+    terms: ['keyword', 'long', 'tail'],
+    phrases: [['long', 'tail', 'keyword']],
+    filters: { category: ['business'], tag: ['digital products'] },
+    from: '2026-01-01',
+    to: null
+  });
+  assert.deepEqual(parseQuery('date:2026-01'), { terms: [], phrases: [], filters: {}, from: '2026-01', to: '2026-01' });
+  assert.deepEqual(parseQuery('date:2026-01-01..2026-01-15').to, '2026-01-15');
+});
+
+test('every term must match and the better match ranks first', () => {
+  // "etsy" is in the title of both, but only one has it twice
+  assert.deepEqual(ids(index().search('etsy keyword')), ['seo', 'tags']);
+  assert.deepEqual(ids(index().search('etsy vps')), []);
+  const [best, next] = index().search('keyword');
+  assert.ok(best.score >= next.score && next.score > 0);
+});
+
+test('phrases match words in order', () => {
+  assert.deepEqual(ids(index().search('"long-tail keywords"')), ['seo']);
+  assert.deepEqual(ids(index().search('"keywords long-tail"')), []);
+});
+
+test('filters and dates narrow the results, newest first when there are no terms', () => {
+  assert.deepEqual(ids(index().search('category:business')), ['tags', 'seo']);
+  assert.deepEqual(ids(index().search('keyword tool:learning')), ['vps']);
+  assert.deepEqual(ids(index().search('keyword before:2026-02-03')), ['seo', 'tags']);
+  assert.deepEqual(ids(index().search('date:2026-02')), ['vps', 'tags']);
+  assert.deepEqual(index().search(''), []);
+});
@@ -0,0 +1,84 @@
+/**
+ * Storage tests: locking, atomic writes and merging concurrent saves
+ *
+ *   npm test
+ */
+
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { withLock, readJson, writeJsonAtomic, snapshot, mergeRecords } from '../src/storage.js';
+import MemoryCurator from '../../memory-curator/src/organizer.js';
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+function tempDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'rita-storage-'));
+  return { dir, cleanup: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('mergeRecords keeps what others added and applies only my changes', () => {
+  const base = [{ id: 'a', n: 1 }, { id: 'b', n: 1 }, { id: 'c', n: 1 }];
+  const loaded = snapshot(base);
+  // Meanwhile someone else changed b and added d
+  const disk = [{ id: 'a', n: 1 }, { id: 'b', n: 2 }, { id: 'c', n: 1 }, { id: 'd', n: 1 }];
+  // I changed a, removed c and added e
+  const mine = [{ id: 'a', n: 5 }, { id: 'b', n: 1 }, { id: 'e', n: 1 }];
+
+  assert.deepEqual(mergeRecords(disk, mine, loaded), [
+    { id: 'a', n: 5 }, { id: 'b', n: 2 }, { id: 'd', n: 1 }, { id: 'e', n: 1 }
+  ]);
+});
+
+test('withLock releases the lock even when fn throws, and times out on a held lock', () => {
+  const { dir, cleanup } = tempDir();
+  try {
+    const file = join(dir, 'store.json');
+    assert.throws(() => withLock(file, () => { throw new Error('boom'); }), /boom/);
+    assert.equal(existsSync(`${file}.lock`), false);
+
+    writeFileSync(`${file}.lock`, '');
+    assert.throws(() => withLock(file, () => {}, { timeoutMs: 50 }), /Timed out/);
+    // ...unless it's stale
+    assert.equal(withLock(file, () => 'ran', { staleMs: 0 }), 'ran');
+  } finally {
+    cleanup();
+  }
+});
+
+test('writeJsonAtomic leaves no temp file behind', () => {
+  const { dir, cleanup } = tempDir();
+  try {
+    const file = join(dir, 'store.json');
+    writeJsonAtomic(file, { ok: true });
+    assert.deepEqual(readJson(file), { ok: true });
+    assert.deepEqual(readdirSync(dir), ['store.json']);
+    assert.equal(readJson(join(dir, 'missing.json'), []).length, 0);
+  } finally {
+    cleanup();
+  }
+});
+
+test("two curators saving the knowledge base keep each other's entries", () => {
+  const { dir, cleanup } = tempDir();
+  try {
+    const first = new MemoryCurator({ root: dir });
+    const second = new MemoryCurator({ root: dir });
+    first.categorize('Server setup', 'Earth runs his VPS on Ubuntu', 'conversation', 8);
+    second.categorize('Report style', 'Earth wants short reports', 'conversation', 8);
+
+    const stored = Object.values(new MemoryCurator({ root: dir }).categories).flat().map(item => item.topic).sort();
+    assert.deepEqual(stored, ['Report style', 'Server setup']);
+
+    // Archiving appends to what's there
+    first.archive([{ id: 'x', topic: 'Old' }]);
+    second.archive([{ id: 'y', topic: 'Older' }]);
+    assert.deepEqual(first.loadArchive().map(item => item.id), ['x', 'y']);
+  } finally {
+    cleanup();
+  }
+});